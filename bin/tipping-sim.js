@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { DEFAULT_CONFIG, parseConfigJson, simulationOptions } from '../src/simulation/config.js';
+import { createSimulation, runToEnd } from '../src/simulation/engine.js';
+import { ENSEMBLE_HORIZONS, runRealisation, summarizeEnsemble } from '../src/simulation/ensemble.js';
+import { ensembleCsv, runJson, trajectoryCsv } from '../src/simulation/export.js';
+import { START_YEAR } from '../src/simulation/pathways.js';
+import { normalizeSeed, randomSeed } from '../src/simulation/random.js';
+
+// Command-line runner for the model in src/simulation, for scripted
+// experiments and CI. It builds runs exactly as the app does, so a scenario
+// and seed give the same thresholds, tipping years and ensemble statistics
+// here as in the browser.
+
+const USAGE = `Usage:
+  tipping-sim run [options]     one run, or an ensemble with --runs
+  tipping-sim list [--config]   the elements and scenarios of a configuration
+
+Options:
+  --scenario <id>     scenario to run (default: the first in the configuration)
+  --seed <seed>       number or text, as in the app (default: random, and printed)
+  --runs <n>          run an ensemble of n realisations, like the app's ensemble panel
+  --until <year>      stop in this year (default: the configuration's end year,
+                      or ${Math.max(...ENSEMBLE_HORIZONS)} for ensembles)
+  --config <file>     model configuration JSON, as loaded in the app; any section
+                      left out falls back to the built-in model
+  --out <file>        write CSV or JSON, picked by the file extension
+  --format csv|json   output format; without --out the data goes to stdout
+  -h, --help          show this help
+
+A single run writes its trajectory (CSV) or the full run (JSON); an ensemble
+writes one row per realisation (CSV) or its summary and results (JSON).
+Without --out or --format a summary is printed instead.
+
+Example:
+  tipping-sim run --scenario current --runs 5000 --seed 42 --until 2300 --out results.csv`;
+
+const OPTIONS = {
+  scenario: { type: 'string' },
+  seed: { type: 'string' },
+  runs: { type: 'string' },
+  until: { type: 'string' },
+  config: { type: 'string' },
+  out: { type: 'string' },
+  format: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+function loadConfig(path) {
+  if (!path) return DEFAULT_CONFIG;
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (err) {
+    throw new UsageError(`Cannot read ${path}: ${err.message}`);
+  }
+  const { config, errors } = parseConfigJson(text);
+  if (!config) throw new UsageError(`Invalid configuration ${path}:\n${errors.map(err => `  - ${err}`).join('\n')}`);
+  return config;
+}
+
+function wholeNumber(value, name, min) {
+  if (!/^\d+$/.test(value ?? '') || Number(value) < min) throw new UsageError(`--${name} must be a whole number ≥ ${min}`);
+  return Number(value);
+}
+
+function outputFormat({ out, format }) {
+  const chosen = format ?? (out && extname(out).slice(1).toLowerCase());
+  if (chosen === undefined) return null;
+  if (chosen === '') throw new UsageError(`Cannot tell the output format from "${out}"; add --format csv or --format json`);
+  if (!['csv', 'json'].includes(chosen)) throw new UsageError(`Unknown output format "${chosen}" (use csv or json)`);
+  return chosen;
+}
+
+const percent = (p) => `${(p * 100).toFixed(1)}%`.padStart(7);
+
+function runSummary(state, seed) {
+  const { scenario, tippingElements, model } = state.config;
+  const lines = [
+    `${scenario.name} (${scenario.id}) • ${model} model • seed ${seed}`,
+    `Ran to ${state.year}, ending at ${state.temperature.toFixed(2)}°C`
+  ];
+  const events = state.cascadeLog.filter(event => event.type === 'tipped' || event.type === 'recovered');
+  if (events.length === 0) lines.push('No element tipped');
+  events.forEach(event => {
+    const from = event.triggeredBy?.length ? `, pushed by ${event.triggeredBy.map(id => tippingElements[id].name).join(', ')}` : '';
+    lines.push(`  ${event.year}  ${event.type.padEnd(9)} ${tippingElements[event.id].name} at ${event.temp}°C${from}`);
+  });
+  const stable = Object.keys(state.elements).filter(id => !state.elements[id].tipped);
+  if (stable.length > 0) lines.push(`Not tipped at the end: ${stable.map(id => tippingElements[id].name).join(', ')}`);
+  return lines.join('\n');
+}
+
+function ensembleSummary({ summary, scenario, tippingElements, seed, untilYear, horizons }) {
+  const width = Math.max(...Object.values(tippingElements).map(el => el.name.length), 'Tipped by'.length);
+  const lines = [
+    `${scenario.name} (${scenario.id}) • ${summary.runs} runs • seed ${seed} • until ${untilYear}`,
+    '',
+    `${'Tipped by'.padEnd(width)} ${horizons.map(h => String(h).padStart(7)).join('')}   median year (5–95%)`
+  ];
+  Object.entries(summary.elements).forEach(([id, stats]) => {
+    const { median, p5, p95 } = stats.years;
+    const years = median === null ? '—' : `${Math.round(median)} (${Math.round(p5)}–${Math.round(p95)})`;
+    lines.push(`${tippingElements[id].name.padEnd(width)} ${horizons.map(h => percent(stats.probabilityBy[h])).join('')}   ${years}`);
+  });
+  lines.push('', `Elements tipped in ${untilYear}: ${summary.tippedCounts.map((p, n) => `${n}: ${percent(p).trim()}`).join(', ')}`);
+  return lines.join('\n');
+}
+
+function run(values) {
+  const config = loadConfig(values.config);
+  const scenario = values.scenario
+    ? config.scenarios.find(s => s.id === values.scenario)
+    : config.scenarios[0];
+  if (!scenario) {
+    throw new UsageError(`Unknown scenario "${values.scenario}" (use ${config.scenarios.map(s => s.id).join(', ')})`);
+  }
+  const seed = normalizeSeed(values.seed ?? randomSeed());
+  const options = { ...simulationOptions(config), scenario, seed };
+  const format = outputFormat(values);
+  const untilYear = values.until === undefined ? undefined : wholeNumber(values.until, 'until', START_YEAR + 1);
+
+  let data;
+  let summary;
+  if (values.runs === undefined) {
+    const state = runToEnd(createSimulation({ ...options, endYear: untilYear ?? options.endYear }));
+    data = format === 'csv' ? trajectoryCsv(state) : format === 'json' ? runJson(state) : null;
+    summary = runSummary(state, seed);
+  } else {
+    const runs = wholeNumber(values.runs, 'runs', 1);
+    const until = untilYear ?? Math.max(options.endYear, ...ENSEMBLE_HORIZONS);
+    const horizons = [...ENSEMBLE_HORIZONS.filter(h => h < until), until];
+    const elementIds = Object.keys(options.tippingElements);
+    const results = Array.from({ length: runs }, (_, i) => runRealisation(options, i, until));
+    const stats = summarizeEnsemble(results, elementIds, horizons);
+    if (format === 'csv') data = ensembleCsv(results, elementIds);
+    if (format === 'json') {
+      data = JSON.stringify({ scenario: scenario.id, seed, untilYear: until, summary: stats, results }, null, 2);
+    }
+    summary = ensembleSummary({ summary: stats, scenario, tippingElements: options.tippingElements, seed, untilYear: until, horizons });
+  }
+
+  if (values.out) {
+    writeFileSync(values.out, data);
+    console.log(`${summary}\n\nWrote ${values.out}`);
+  } else {
+    process.stdout.write(data ?? `${summary}\n`);
+  }
+}
+
+function list(values) {
+  const config = loadConfig(values.config);
+  const lines = [config.name, '', 'Elements (* = simulated):'];
+  Object.values(config.elements).forEach(el => {
+    const mark = config.selectedElements.includes(el.id) ? '*' : ' ';
+    lines.push(` ${mark} ${el.id.padEnd(14)} ${el.name}, tips at ${el.thresholdMin}–${el.thresholdMax}°C`);
+  });
+  lines.push('', 'Scenarios:');
+  config.scenarios.forEach(s => lines.push(`   ${s.id.padEnd(14)} ${s.name}`));
+  console.log(lines.join('\n'));
+}
+
+const COMMANDS = { run, list };
+
+function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...extra] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"\n\n${USAGE}`);
+  if (extra.length > 0) throw new UsageError(`Unexpected argument "${extra[0]}"`);
+  COMMANDS[command](values);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  // parseArgs reports unknown or malformed options with a code
+  if (!(err instanceof UsageError) && !err.code?.startsWith('ERR_PARSE_ARGS')) throw err;
+  console.error(`tipping-sim: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -1,260 +1,440 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-
-// Tipping element data - accurate to Wunderling et al. 2021 Table 1
-const TIPPING_ELEMENTS = {
-  greenland: {
-    id: 'greenland',
-    name: 'Greenland',
-    tippingName: 'Ice Sheet Collapse',
-    fullName: 'Greenland Ice Sheet',
-    icon: '🏔️',
-    thresholdMin: 0.8,
-    thresholdMax: 3.2,
-    role: 'Main Initiator',
-    shortDesc: 'Ice sheet disintegration',
-    description: 'The Greenland Ice Sheet is the second-largest ice body on Earth. "Tipping" means crossing a threshold where melting becomes self-sustaining — the ice sheet will continue to shrink even if warming stops. This would raise global sea levels by approximately 7 meters over centuries to millennia.',
-    color: '#60a5fa',
-    position: { x: 50, y: 8 }
-  },
-  wais: {
-    id: 'wais',
-    name: 'Antarctica',
-    tippingName: 'Ice Sheet Collapse',
-    fullName: 'West Antarctic Ice Sheet',
-    icon: '🧊',
-    thresholdMin: 0.8,
-    thresholdMax: 5.5,
-    role: 'Initiator & Mediator',
-    shortDesc: 'Marine ice sheet collapse',
-    description: 'The West Antarctic Ice Sheet sits on bedrock below sea level, making it vulnerable to "marine ice sheet instability." Warming oceans can melt ice from below, causing glaciers to retreat unstoppably. The Thwaites "Doomsday Glacier" is already showing signs of instability. Full collapse would raise sea levels by 3+ meters.',
-    color: '#a78bfa',
-    position: { x: 50, y: 92 }
-  },
-  amoc: {
-    id: 'amoc',
-    name: 'AMOC',
-    tippingName: 'Circulation Collapse',
-    fullName: 'Atlantic Meridional Overturning Circulation',
-    icon: '🌊',
-    thresholdMin: 3.5,
-    thresholdMax: 6.0,
-    role: 'Cascade Transmitter',
-    shortDesc: 'Ocean current shutdown',
-    description: 'The AMOC is a massive "conveyor belt" of ocean currents including the Gulf Stream. It carries warm water northward and cold water southward, keeping Europe ~5°C warmer than it would otherwise be. "Tipping" means this circulation could slow dramatically or collapse, causing rapid cooling in Europe, shifted rainfall patterns globally, and rising seas along the US East Coast.',
-    color: '#2dd4bf',
-    position: { x: 8, y: 50 }
-  },
-  amazon: {
-    id: 'amazon',
-    name: 'Amazon',
-    tippingName: 'Rainforest Dieback',
-    fullName: 'Amazon Rainforest',
-    icon: '🌳',
-    thresholdMin: 3.5,
-    thresholdMax: 4.5,
-    role: 'Follower Only',
-    shortDesc: 'Forest-to-savanna shift',
-    description: 'The Amazon rainforest generates much of its own rainfall through evapotranspiration — trees release water vapor that falls as rain downwind. "Tipping" means this moisture recycling breaks down: drought kills trees, reducing rainfall, killing more trees in a vicious cycle. Large parts of the rainforest could transition to savanna, releasing massive amounts of stored carbon and devastating biodiversity.',
-    color: '#4ade80',
-    position: { x: 92, y: 50 }
-  }
-};
-
-// Interactions from Table 2
-const INTERACTIONS = [
-  { from: 'greenland', to: 'amoc', type: 'destabilizing', strength: 10, label: 'Meltwater weakens currents' },
-  { from: 'amoc', to: 'greenland', type: 'stabilizing', strength: 10, label: 'Less heat if AMOC weakens' },
-  { from: 'greenland', to: 'wais', type: 'destabilizing', strength: 10, label: 'Sea level rise' },
-  { from: 'wais', to: 'greenland', type: 'destabilizing', strength: 2, label: 'Sea level rise' },
-  { from: 'wais', to: 'amoc', type: 'unclear', strength: 3, label: 'Complex effects' },
-  { from: 'amoc', to: 'wais', type: 'destabilizing', strength: 1.5, label: 'Southern ocean warming' },
-  { from: 'amoc', to: 'amazon', type: 'unclear', strength: 3, label: 'Rainfall pattern changes' }
-];
-
-// Scenarios
-const SCENARIOS = [
-  { 
-    id: 'paris15',
-    name: 'Paris 1.5°C',
-    icon: '🌱',
-    targetTemp: 1.5,
-    yearsToTarget: 30,
-    color: '#22c55e',
-    description: 'Best case: aggressive emissions cuts'
-  },
-  { 
-    id: 'paris2',
-    name: 'Paris 2°C',
-    icon: '🌡️',
-    targetTemp: 2.0,
-    yearsToTarget: 35,
-    color: '#84cc16',
-    description: 'Paris Agreement upper limit'
-  },
-  { 
-    id: 'current',
-    name: 'Current Policies',
-    icon: '📈',
-    targetTemp: 2.7,
-    yearsToTarget: 50,
-    color: '#eab308',
-    description: 'Where we\'re headed now (~2.7°C)'
-  },
-  { 
-    id: 'worst',
-    name: 'High Emissions',
-    icon: '🔥',
-    targetTemp: 4.0,
-    yearsToTarget: 75,
-    color: '#ef4444',
-    description: 'Continued fossil fuel use'
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { selectElements } from './simulation/data.js';
+import { DEFAULT_CONFIG, parseConfigJson } from './simulation/config.js';
+import {
+  START_YEAR,
+  DEFAULT_CARBON_FEEDBACK,
+  createSimulation,
+  calculateStress,
+  step,
+  isFinished,
+  summarizeRun
+} from './simulation/engine.js';
+import { normalizeSeed, randomSeed } from './simulation/random.js';
+import { encodeShareState, decodeShareState } from './simulation/share.js';
+import { trajectoryCsv, eventsCsv, runJson } from './simulation/export.js';
+import { impactSeries } from './simulation/impacts.js';
+import {
+  GAME_END_YEAR,
+  createPolicyGame,
+  applyDecision,
+  decisionEvents,
+  policyScenario,
+  policyScorecard
+} from './simulation/policy.js';
+import EnsemblePanel from './components/EnsemblePanel.jsx';
+import SweepPanel from './components/SweepPanel.jsx';
+import PathwayEditor from './components/PathwayEditor.jsx';
+import ElementPicker from './components/ElementPicker.jsx';
+import NetworkEditor from './components/NetworkEditor.jsx';
+import ConfigPanel, { downloadFile } from './components/ConfigPanel.jsx';
+import TimeSeriesChart from './components/TimeSeriesChart.jsx';
+import PlaybackBar from './components/PlaybackBar.jsx';
+import ImpactsPanel from './components/ImpactsPanel.jsx';
+import CascadeTree from './components/CascadeTree.jsx';
+import PolicyPanel from './components/PolicyPanel.jsx';
+import PolicyScorecard from './components/PolicyScorecard.jsx';
+import WorldMap from './components/WorldMap.jsx';
+import { MAP_WIDTH, MAP_HEIGHT, project, arcPath } from './components/geo.js';
+import { autoLayout, linkOffsets, loadPinnedPositions, storePinnedPositions } from './components/layout.js';
+import RunHistoryPanel, { MAX_SAVED_RUNS, loadSavedRuns, storeSavedRuns } from './components/RunHistoryPanel.jsx';
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+const STEP_MS = 600;
+const SPEEDS = [0.25, 0.5, 1, 2, 5, 10];
+
+// Extends a run's snapshots (one per simulated year) up to `untilYear` or its end
+function simulateFrames(frames, untilYear = Infinity) {
+  const extended = [...frames];
+  let last = extended[extended.length - 1];
+  while (last.config.scenario && last.year < untilYear && !isFinished(last)) {
+    last = step(last);
+    extended.push(last);
   }
-];
+  return extended;
+}
 
-const INTERACTION_STRENGTH = 0.35;
+// A policy game can only be simulated as far as the player has decided
+const playableUntil = (playback) => (playback.game ? playback.game.year : Infinity);
 
 export default function TippingCascadeSimulator() {
-  const [temperature, setTemperature] = useState(1.1);
-  const [elements, setElements] = useState(null);
+  // Every simulated year is kept so playback can go back; `sim` is the year on screen.
+  // `game` is set while the run is a policy game.
+  const [playback, setPlayback] = useState(() => ({ frames: [createSimulation()], cursor: 0, game: null }));
+  const [speed, setSpeed] = useState(1);
   const [isRunning, setIsRunning] = useState(false);
   const [selectedElement, setSelectedElement] = useState(null);
-  const [cascadeLog, setCascadeLog] = useState([]);
-  const [year, setYear] = useState(2025);
-  const [scenario, setScenario] = useState(null);
-  const [gameOver, setGameOver] = useState(false);
   const [infoElement, setInfoElement] = useState(null);
   const [showHowItWorks, setShowHowItWorks] = useState(false);
-  const intervalRef = useRef(null);
-
-  const initializeElements = useCallback(() => {
-    return Object.fromEntries(
-      Object.keys(TIPPING_ELEMENTS).map(id => {
-        const el = TIPPING_ELEMENTS[id];
-        const threshold = el.thresholdMin + Math.random() * (el.thresholdMax - el.thresholdMin);
-        return [id, { stress: 0, tipped: false, threshold }];
+  const [seedInput, setSeedInput] = useState('');
+  const [modelConfig, setModelConfig] = useState(DEFAULT_CONFIG);
+  const [configSource, setConfigSource] = useState(null);
+  const [configErrors, setConfigErrors] = useState([]);
+  const [model, setModel] = useState(DEFAULT_CONFIG.constants.model);
+  const [customScenario, setCustomScenario] = useState(null);
+  const [showPathwayEditor, setShowPathwayEditor] = useState(false);
+  const [elementIds, setElementIds] = useState(DEFAULT_CONFIG.selectedElements);
+  const [networkInteractions, setNetworkInteractions] = useState(DEFAULT_CONFIG.interactions);
+  const [couplingStrength, setCouplingStrength] = useState(DEFAULT_CONFIG.constants.interactionStrength);
+  const [unclearLinks, setUnclearLinks] = useState(DEFAULT_CONFIG.constants.unclearLinks);
+  const [carbonFeedback, setCarbonFeedback] = useState(DEFAULT_CONFIG.constants.carbonFeedback);
+  const [editingNetwork, setEditingNetwork] = useState(false);
+  const [mapView, setMapView] = useState(false);
+  // Nodes the user dragged into place, by element id; `drag` is the one being dragged
+  const [pinnedPositions, setPinnedPositions] = useState(loadPinnedPositions);
+  const [drag, setDrag] = useState(null);
+  // Width over height of the diagram, so links are drawn without stretching
+  const [diagramAspect, setDiagramAspect] = useState(2.5);
+  const [selectedLink, setSelectedLink] = useState(null);
+  const [savedRuns, setSavedRuns] = useState(loadSavedRuns);
+  const [shareErrors, setShareErrors] = useState([]);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const archivedRun = useRef(null);
+  const diagramRef = useRef(null);
+  const dragStart = useRef(null);
+  // Set when a press ends a drag, so the click that follows doesn't select the node
+  const justDragged = useRef(false);
+
+  const { frames, cursor, game } = playback;
+  const sim = frames[cursor];
+  const latestFrame = frames[frames.length - 1];
+  const awaitingDecision = Boolean(game) && latestFrame.year >= game.year && !isFinished(latestFrame);
+  const gameFinished = Boolean(game) && isFinished(latestFrame);
+  const { year, temperature, elements, cascadeLog, history, gameOver } = sim;
+  const { scenario, tippingElements, interactions } = sim.config;
+  const { scenarios, constants } = modelConfig;
+  const selectedElements = selectElements(elementIds, modelConfig.elements);
+  const simOptions = {
+    tippingElements: selectedElements,
+    interactions: networkInteractions,
+    interactionStrength: couplingStrength,
+    model,
+    endYear: constants.endYear,
+    cuspTimescale: constants.cuspTimescale,
+    cuspSubsteps: constants.cuspSubsteps,
+    progressiveCoupling: constants.progressiveCoupling,
+    unclearLinks,
+    carbonFeedback
+  };
+  const networkModified = networkInteractions !== modelConfig.interactions
+    || couplingStrength !== constants.interactionStrength
+    || unclearLinks !== constants.unclearLinks;
+
+  // The configuration as edited in the app, which is what "Download JSON" saves
+  const currentConfig = {
+    ...modelConfig,
+    selectedElements: elementIds,
+    interactions: networkInteractions,
+    scenarios: customScenario && !scenarios.includes(customScenario) ? [...scenarios, customScenario] : scenarios,
+    constants: { ...constants, interactionStrength: couplingStrength, model, unclearLinks, carbonFeedback }
+  };
+
+  useEffect(() => {
+    setSeedInput(String(sim.seed));
+  }, [sim.seed]);
+
+  // ?config=<url> loads a shared model configuration on startup, and a
+  // #hash from a shared link then recreates the run on top of it
+  useEffect(() => {
+    const hash = window.location.hash;
+    const url = new URLSearchParams(window.location.search).get('config');
+    if (!url) {
+      applyShareHash(hash, DEFAULT_CONFIG);
+      return;
+    }
+    fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
       })
-    );
+      .then(text => {
+        const result = parseConfigJson(text);
+        setConfigErrors(result.errors);
+        if (result.config) applyConfig(result.config, url);
+        applyShareHash(hash, result.config ?? DEFAULT_CONFIG);
+      })
+      .catch(err => {
+        setConfigErrors([`Could not fetch ${url}: ${err.message}`]);
+        applyShareHash(hash, DEFAULT_CONFIG);
+      });
   }, []);
 
+  // A link pasted into the address bar of an open tab only changes the hash
   useEffect(() => {
-    setElements(initializeElements());
-  }, [initializeElements]);
+    const onHashChange = () => applyShareHash(window.location.hash, modelConfig);
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  });
 
-  const calculateStress = useCallback((elementId, currentElements, temp) => {
-    if (!currentElements) return 0;
-    const state = currentElements[elementId];
-    if (state.tipped) return 100;
-    
-    const tempRatio = Math.max(0, (temp - 0.8) / (state.threshold - 0.8));
-    let stress = tempRatio * 55;
-    
-    INTERACTIONS.forEach(interaction => {
-      if (interaction.to === elementId && currentElements[interaction.from]?.tipped) {
-        if (interaction.type === 'stabilizing') {
-          stress -= interaction.strength * INTERACTION_STRENGTH * 12;
-        } else if (interaction.type === 'destabilizing') {
-          stress += interaction.strength * INTERACTION_STRENGTH * 10;
-        } else {
-          stress += interaction.strength * INTERACTION_STRENGTH * 4;
-        }
-      }
-    });
-    
-    return Math.max(0, Math.min(100, stress));
-  }, []);
+  const shareState = {
+    scenario,
+    seed: sim.seed,
+    model: sim.config.model,
+    constants: sim.config,
+    selectedElements: Object.keys(tippingElements),
+    interactions,
+    year: scenario && year > START_YEAR ? year : undefined,
+    info: selectedElement?.id
+  };
+  // The hash always describes the current run; the year is only pinned once it is paused or over
+  const shareHash = encodeShareState(isRunning ? { ...shareState, year: undefined } : shareState, modelConfig);
 
-  const checkTipping = useCallback((stress, tipped) => {
-    if (tipped) return false;
-    if (stress >= 85) return Math.random() < (stress - 85) / 15 * 0.4;
-    if (stress >= 70) return Math.random() < 0.05;
-    return false;
-  }, []);
+  useEffect(() => {
+    if (window.location.hash !== `#${shareHash}`) window.history.replaceState(null, '', `#${shareHash}`);
+  }, [shareHash]);
 
   useEffect(() => {
-    if (!isRunning || gameOver || !elements || !scenario) return;
-
-    intervalRef.current = setInterval(() => {
-      setYear(prevYear => {
-        const newYear = prevYear + 1;
-        const elapsed = newYear - 2025;
-        const progress = Math.min(1, elapsed / scenario.yearsToTarget);
-        const newTemp = 1.1 + (scenario.targetTemp - 1.1) * progress;
-        setTemperature(newTemp);
-        return newYear;
-      });
-      
-      setElements(prev => {
-        if (!prev) return prev;
-        const newElements = { ...prev };
-        let newTips = [];
-        
-        const elapsed = year - 2024;
-        const progress = Math.min(1, elapsed / scenario.yearsToTarget);
-        const currentTemp = 1.1 + (scenario.targetTemp - 1.1) * progress;
-        
-        Object.keys(TIPPING_ELEMENTS).forEach(id => {
-          const stress = calculateStress(id, prev, currentTemp);
-          newElements[id] = { ...newElements[id], stress };
-          
-          if (checkTipping(stress, prev[id].tipped)) {
-            newElements[id] = { ...newElements[id], tipped: true, stress: 100 };
-            newTips.push(id);
-          }
-        });
-        
-        if (newTips.length > 0) {
-          const hasPriorTips = Object.values(prev).some(e => e.tipped);
-          setCascadeLog(log => [
-            ...log,
-            ...newTips.map(id => ({
-              year: year + 1,
-              element: TIPPING_ELEMENTS[id].fullName,
-              icon: TIPPING_ELEMENTS[id].icon,
-              temp: currentTemp.toFixed(1),
-              isCascade: hasPriorTips
-            }))
-          ]);
-        }
-        
-        return newElements;
-      });
-    }, 600);
+    if (!isRunning || gameOver || !scenario) return;
+    const interval = setInterval(stepForward, STEP_MS / speed);
+    return () => clearInterval(interval);
+  }, [isRunning, gameOver, scenario, speed]);
 
-    return () => clearInterval(intervalRef.current);
-  }, [isRunning, gameOver, elements, scenario, year, calculateStress, checkTipping]);
+  useEffect(() => {
+    if (!isFinished(sim)) return;
+    setIsRunning(false);
+    archiveRun(sim);
+  }, [sim]);
 
   useEffect(() => {
-    if (!elements) return;
-    const allTipped = Object.values(elements).every(e => e.tipped);
-    if (allTipped && !gameOver) {
-      setGameOver(true);
-      setIsRunning(false);
-    }
-  }, [elements, gameOver]);
+    if (awaitingDecision) setIsRunning(false);
+  }, [awaitingDecision]);
+
+  useEffect(() => {
+    storeSavedRuns(savedRuns);
+  }, [savedRuns]);
+
+  useEffect(() => {
+    storePinnedPositions(pinnedPositions);
+  }, [pinnedPositions]);
+
+  useEffect(() => {
+    const node = diagramRef.current;
+    if (!node || typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      if (width > 0 && height > 0) setDiagramAspect(width / height);
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, []);
+
+  // An edited seed is used for the next run; otherwise every run draws a fresh one
+  const editedSeed = seedInput.trim() && normalizeSeed(seedInput) !== sim.seed
+    ? normalizeSeed(seedInput)
+    : undefined;
+
+  // Saves a run to the history once, when it ends or is replaced by another one
+  function archiveRun(run) {
+    if (!run.config.scenario || run.year === START_YEAR || archivedRun.current === run) return;
+    archivedRun.current = run;
+    const entry = {
+      id: `${Date.now().toString(36)}-${run.seed}`,
+      name: `${run.config.scenario.name} • seed ${run.seed}`,
+      savedAt: new Date().toISOString(),
+      ...summarizeRun(run)
+    };
+    setSavedRuns(prev => [entry, ...prev].slice(0, MAX_SAVED_RUNS));
+  }
+
+  // Starts a new run; with `untilYear` it is simulated up to that year straight away
+  const replaceRun = (run, untilYear, newGame = null) => {
+    archiveRun(latestFrame);
+    const runFrames = untilYear === undefined ? [run] : simulateFrames([run], untilYear);
+    setPlayback({ frames: runFrames, cursor: runFrames.length - 1, game: newGame });
+  };
+
+  // Moves to the next year, replaying an already simulated one if the timeline was rewound
+  function stepForward() {
+    setPlayback(prev => {
+      if (prev.cursor < prev.frames.length - 1) return { ...prev, cursor: prev.cursor + 1 };
+      const extended = simulateFrames(prev.frames, Math.min(prev.frames[prev.cursor].year + 1, playableUntil(prev)));
+      return extended.length === prev.frames.length ? prev : { ...prev, frames: extended, cursor: extended.length - 1 };
+    });
+  }
+
+  const stepBack = () => {
+    setIsRunning(false);
+    setPlayback(prev => ({ ...prev, cursor: Math.max(0, prev.cursor - 1) }));
+  };
+
+  const scrubTo = (index) => {
+    setIsRunning(false);
+    setPlayback(prev => ({ ...prev, cursor: index }));
+  };
+
+  const runToEndInstantly = () => {
+    setIsRunning(false);
+    setPlayback(prev => {
+      const extended = simulateFrames(prev.frames, playableUntil(prev));
+      return { ...prev, frames: extended, cursor: extended.length - 1 };
+    });
+  };
 
   const startScenario = (newScenario) => {
-    setElements(initializeElements());
-    setTemperature(1.1);
-    setYear(2025);
-    setCascadeLog([]);
-    setGameOver(false);
-    setScenario(newScenario);
+    if (newScenario.pathway) setCustomScenario(newScenario);
+    setShowPathwayEditor(false);
+    replaceRun(createSimulation({ ...simOptions, scenario: newScenario, seed: editedSeed }));
     setIsRunning(true);
   };
 
+  // The pathway starts as a single point and grows by a decade with every decision
+  const startGame = () => {
+    const seed = editedSeed ?? randomSeed();
+    const newGame = createPolicyGame(seed);
+    setShowPathwayEditor(false);
+    setIsRunning(false);
+    replaceRun(createSimulation({ ...simOptions, scenario: policyScenario(newGame), endYear: GAME_END_YEAR, seed }), undefined, newGame);
+  };
+
+  const decidePolicy = (decision) => {
+    const nextGame = applyDecision(game, decision);
+    const extended = {
+      ...latestFrame,
+      config: { ...latestFrame.config, scenario: policyScenario(nextGame) },
+      cascadeLog: [...latestFrame.cascadeLog, ...decisionEvents(nextGame, latestFrame.temperature)]
+    };
+    setPlayback({ frames: [...frames.slice(0, -1), extended], cursor, game: nextGame });
+    setIsRunning(true);
+  };
+
+  const replayRun = () => {
+    const seed = seedInput.trim() ? normalizeSeed(seedInput) : sim.seed;
+    replaceRun(createSimulation({ ...sim.config, seed }));
+    setIsRunning(Boolean(scenario));
+  };
+
   const resetSimulation = () => {
     setIsRunning(false);
-    setElements(initializeElements());
-    setTemperature(1.1);
-    setYear(2025);
-    setCascadeLog([]);
-    setGameOver(false);
-    setScenario(null);
+    replaceRun(createSimulation(simOptions));
   };
 
-  if (!elements) return null;
+  const changeElementSelection = (ids) => {
+    setElementIds(ids);
+    setSelectedElement(null);
+    setInfoElement(null);
+    setSelectedLink(null);
+    replaceRun(createSimulation({ ...simOptions, tippingElements: selectElements(ids, modelConfig.elements) }));
+  };
+
+  const resetNetwork = () => {
+    setNetworkInteractions(modelConfig.interactions);
+    setCouplingStrength(constants.interactionStrength);
+    setUnclearLinks(constants.unclearLinks);
+    setSelectedLink(null);
+  };
+
+  function applyShareHash(hash, config) {
+    const { share, errors } = decodeShareState(hash, config);
+    setShareErrors(errors);
+    if (!share) return;
+    const shareElements = selectElements(share.selectedElements, config.elements);
+    const run = createSimulation({
+      ...share.constants,
+      tippingElements: shareElements,
+      interactions: share.interactions,
+      model: share.model,
+      scenario: share.scenario,
+      seed: share.seed
+    });
+    setModel(share.model);
+    setElementIds(share.selectedElements);
+    setNetworkInteractions(share.interactions);
+    setCouplingStrength(share.constants.interactionStrength);
+    setUnclearLinks(share.constants.unclearLinks);
+    setCarbonFeedback(share.constants.carbonFeedback);
+    if (share.scenario?.pathway) setCustomScenario(share.scenario);
+    setSelectedElement(share.info ? shareElements[share.info] : null);
+    setSelectedLink(null);
+    replaceRun(run, share.year);
+    setIsRunning(Boolean(share.scenario) && share.year === undefined);
+  }
+
+  const copyLink = () => {
+    const { origin, pathname, search } = window.location;
+    const link = `${origin}${pathname}${search}#${encodeShareState(shareState, modelConfig)}`;
+    navigator.clipboard.writeText(link).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    });
+  };
+
+  function applyConfig(config, source) {
+    setModelConfig(config);
+    setConfigSource(source);
+    setConfigErrors([]);
+    setElementIds(config.selectedElements);
+    setNetworkInteractions(config.interactions);
+    setCouplingStrength(config.constants.interactionStrength);
+    setUnclearLinks(config.constants.unclearLinks);
+    setCarbonFeedback(config.constants.carbonFeedback);
+    setModel(config.constants.model);
+    setCustomScenario(null);
+    setSelectedElement(null);
+    setInfoElement(null);
+    setSelectedLink(null);
+    setIsRunning(false);
+    replaceRun(createSimulation({
+      tippingElements: selectElements(config.selectedElements, config.elements),
+      interactions: config.interactions,
+      ...config.constants
+    }));
+  }
 
   const tippedCount = Object.values(elements).filter(e => e.tipped).length;
+  const elementCount = Object.keys(elements).length;
+  // Hand-placed and pinned nodes stay put (the one being dragged follows the
+  // pointer); the layout arranges the rest around them
+  const layoutLinks = editingNetwork ? networkInteractions : sim.links;
+  const fixedPositions = {
+    ...Object.fromEntries(Object.values(tippingElements).filter(el => el.position).map(el => [el.id, el.position])),
+    ...Object.fromEntries(Object.keys(tippingElements).filter(id => pinnedPositions[id]).map(id => [id, pinnedPositions[id]])),
+    ...(drag && { [drag.id]: drag })
+  };
+  const layoutKey = JSON.stringify([Object.keys(tippingElements), layoutLinks.map(l => [l.from, l.to]), fixedPositions, diagramAspect]);
+  const networkPositions = useMemo(
+    () => autoLayout(Object.keys(tippingElements), layoutLinks, { fixed: fixedPositions, aspect: diagramAspect }),
+    // Keyed by value, as fixedPositions is a new object on every render
+    [layoutKey]
+  );
+  const pinnedIds = Object.keys(tippingElements).filter(id => pinnedPositions[id]);
+  // On the map, elements sit at their location (as percent of the map); any without one are left off
+  const mapPositions = Object.fromEntries(Object.values(tippingElements).filter(el => el.location).map(el => {
+    const { x, y } = project(el.location);
+    return [el.id, { x: (x / MAP_WIDTH) * 100, y: (y / MAP_HEIGHT) * 100 }];
+  }));
+  const unmapped = Object.values(tippingElements).filter(el => !el.location);
+  const nodePositions = mapView ? mapPositions : networkPositions;
+  // While editing, the diagram shows the draft network; otherwise the links the run
+  // uses, with the sign drawn for any unclear ones
+  const drawnLinks = layoutLinks
+    .map((int, index) => ({ int, index }))
+    .filter(({ int }) => int.from in nodePositions && int.to in nodePositions);
+  const curveOffsets = linkOffsets(drawnLinks.map(({ int }) => int), mapView ? { single: 0, spacing: 8 } : {});
+
+  // Dragging a node pins it where it is dropped; a press without movement is still a click
+  const startDrag = (event, id) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    justDragged.current = false;
+    dragStart.current = { id, x: event.clientX, y: event.clientY, moved: false };
+  };
+  const moveDrag = (event) => {
+    const start = dragStart.current;
+    if (!start || (!start.moved && Math.hypot(event.clientX - start.x, event.clientY - start.y) < 4)) return;
+    start.moved = true;
+    const rect = diagramRef.current.getBoundingClientRect();
+    const percent = (value, origin, size) => Math.round(Math.min(96, Math.max(4, ((value - origin) / size) * 100)) * 10) / 10;
+    setDrag({ id: start.id, x: percent(event.clientX, rect.left, rect.width), y: percent(event.clientY, rect.top, rect.height) });
+  };
+  const endDrag = () => {
+    justDragged.current = Boolean(dragStart.current?.moved);
+    dragStart.current = null;
+    if (drag) setPinnedPositions({ ...pinnedPositions, [drag.id]: { x: drag.x, y: drag.y } });
+    setDrag(null);
+  };
+  const unpin = (id) => {
+    const { [id]: _, ...rest } = pinnedPositions;
+    setPinnedPositions(rest);
+  };
 
   const getTempColor = (t) => {
     if (t <= 1.5) return '#22c55e';
@@ -315,7 +495,15 @@ export default function TippingCascadeSimulator() {
         marginBottom: '16px'
       }}>
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
-          <span style={{ fontSize: '13px', color: '#94a3b8' }}>Global Temperature Rise</span>
+          <span style={{ fontSize: '13px', color: '#94a3b8' }}>
+            Global Temperature Rise
+            {sim.config.carbonFeedback && (
+              <span style={{ fontSize: '11px', color: '#64748b' }}>
+                {' '}— scenario {(temperature - sim.feedbackWarming).toFixed(2)}°C
+                + <span style={{ color: '#fb923c' }}>feedback {sim.feedbackWarming.toFixed(2)}°C</span>
+              </span>
+            )}
+          </span>
           <span style={{ fontSize: '13px', color: '#64748b' }}>Year: <strong style={{ color: 'white' }}>{year}</strong></span>
         </div>
         
@@ -373,19 +561,160 @@ export default function TippingCascadeSimulator() {
         </div>
       </div>
 
+      {/* Seed */}
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        background: 'rgba(30, 41, 59, 0.5)',
+        borderRadius: '12px',
+        padding: '10px 12px',
+        marginBottom: '16px',
+        fontSize: '12px',
+        color: '#94a3b8'
+      }}>
+        <span>🎲 Seed</span>
+        <input
+          value={seedInput}
+          onChange={e => setSeedInput(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && replayRun()}
+          spellCheck={false}
+          style={{
+            flex: 1,
+            minWidth: 0,
+            padding: '6px 10px',
+            background: 'rgba(15, 23, 42, 0.8)',
+            border: `1px solid ${editedSeed !== undefined ? '#eab308' : 'rgba(100, 116, 139, 0.3)'}`,
+            borderRadius: '8px',
+            color: 'white',
+            fontFamily: 'monospace',
+            fontSize: '12px'
+          }}
+        />
+        <button
+          onClick={replayRun}
+          title="Restart with this seed: identical thresholds and tipping events"
+          style={{
+            padding: '6px 12px',
+            background: 'rgba(96, 165, 250, 0.15)',
+            border: '1px solid rgba(96, 165, 250, 0.3)',
+            borderRadius: '8px',
+            color: '#93c5fd',
+            fontSize: '12px',
+            fontWeight: '600',
+            cursor: 'pointer',
+            whiteSpace: 'nowrap'
+          }}
+        >
+          ↺ Replay this run
+        </button>
+        <button
+          onClick={copyLink}
+          title="Copy a link that recreates this run, paused at the current year"
+          style={{
+            padding: '6px 12px',
+            background: 'rgba(100, 116, 139, 0.2)',
+            border: '1px solid rgba(100, 116, 139, 0.3)',
+            borderRadius: '8px',
+            color: linkCopied ? '#86efac' : '#cbd5e1',
+            fontSize: '12px',
+            fontWeight: '600',
+            cursor: 'pointer',
+            whiteSpace: 'nowrap'
+          }}
+        >
+          {linkCopied ? '✓ Copied' : '🔗 Copy link'}
+        </button>
+      </div>
+
+      {shareErrors.length > 0 && (
+        <div style={{
+          marginBottom: '16px',
+          padding: '10px',
+          background: 'rgba(234, 179, 8, 0.1)',
+          border: '1px solid rgba(234, 179, 8, 0.3)',
+          borderRadius: '8px',
+          color: '#fde047',
+          fontSize: '12px'
+        }}>
+          <div style={{ fontWeight: '600', marginBottom: '4px' }}>Parts of the shared link could not be used:</div>
+          {shareErrors.map((err, i) => <div key={i} style={{ fontFamily: 'monospace', fontSize: '11px' }}>• {err}</div>)}
+        </div>
+      )}
+
+      {awaitingDecision && <PolicyPanel key={game.year} game={game} onDecide={decidePolicy} />}
+
       {/* Scenario Selection */}
-      {!isRunning && !gameOver && (
+      {!isRunning && !gameOver && !game && (
         <div style={{
           background: 'rgba(30, 41, 59, 0.6)',
           borderRadius: '16px',
           padding: '16px',
           marginBottom: '16px'
         }}>
+          <div style={{ display: 'flex', gap: '6px', justifyContent: 'center', marginBottom: '12px' }}>
+            {[
+              { id: 'heuristic', label: '⚡ Heuristic stress model' },
+              { id: 'cusp', label: '📐 Physical model (coupled ODEs)' }
+            ].map(m => (
+              <button
+                key={m.id}
+                onClick={() => setModel(m.id)}
+                style={{
+                  padding: '6px 12px',
+                  background: model === m.id ? 'rgba(96, 165, 250, 0.2)' : 'transparent',
+                  border: `1px solid ${model === m.id ? '#60a5fa' : 'rgba(100, 116, 139, 0.3)'}`,
+                  borderRadius: '100px',
+                  color: model === m.id ? '#93c5fd' : '#64748b',
+                  fontSize: '11px',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', alignItems: 'center', marginBottom: '12px', flexWrap: 'wrap' }}>
+            <button
+              onClick={() => setCarbonFeedback(carbonFeedback ? null : DEFAULT_CARBON_FEEDBACK)}
+              title="Carbon released by tipped elements adds warming on top of the scenario"
+              style={{
+                padding: '6px 12px',
+                background: carbonFeedback ? 'rgba(251, 146, 60, 0.2)' : 'transparent',
+                border: `1px solid ${carbonFeedback ? '#fb923c' : 'rgba(100, 116, 139, 0.3)'}`,
+                borderRadius: '100px',
+                color: carbonFeedback ? '#fdba74' : '#64748b',
+                fontSize: '11px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              🔥 Carbon-cycle feedback {carbonFeedback ? 'on' : 'off'}
+            </button>
+            {carbonFeedback && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px', color: '#94a3b8' }}>
+                <input
+                  type="range"
+                  min={0}
+                  max={0.005}
+                  step={0.0001}
+                  value={carbonFeedback.warmingPerGtC}
+                  onChange={e => setCarbonFeedback({ warmingPerGtC: Number(e.target.value) })}
+                />
+                <span style={{ fontFamily: 'monospace', color: 'white' }}>
+                  {(carbonFeedback.warmingPerGtC * 100).toFixed(2)}°C
+                </span>
+                per 100 GtC
+              </label>
+            )}
+          </div>
+          <ElementPicker catalogue={modelConfig.elements} selectedIds={elementIds} onChange={changeElementSelection} />
           <p style={{ fontSize: '13px', color: '#94a3b8', margin: '0 0 12px', textAlign: 'center' }}>
             Choose a warming scenario to simulate:
           </p>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px' }}>
-            {SCENARIOS.map(s => (
+            {scenarios.map(s => (
               <button
                 key={s.id}
                 onClick={() => startScenario(s)}
@@ -406,11 +735,53 @@ export default function TippingCascadeSimulator() {
               </button>
             ))}
           </div>
+          {showPathwayEditor ? (
+            <PathwayEditor
+              initialScenario={customScenario}
+              onRun={startScenario}
+              onClose={() => setShowPathwayEditor(false)}
+            />
+          ) : (
+            <button
+              onClick={() => setShowPathwayEditor(true)}
+              style={{
+                width: '100%',
+                marginTop: '10px',
+                padding: '10px 12px',
+                background: 'rgba(56, 189, 248, 0.08)',
+                border: '2px dashed rgba(56, 189, 248, 0.35)',
+                borderRadius: '12px',
+                color: '#7dd3fc',
+                fontSize: '13px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              ✏️ Custom pathway — overshoot, delayed action or imported series
+            </button>
+          )}
+          <button
+            onClick={startGame}
+            style={{
+              width: '100%',
+              marginTop: '10px',
+              padding: '10px 12px',
+              background: 'rgba(167, 139, 250, 0.1)',
+              border: '2px solid rgba(167, 139, 250, 0.35)',
+              borderRadius: '12px',
+              color: '#c4b5fd',
+              fontSize: '13px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            🏛️ Policy game — steer emissions decade by decade until {GAME_END_YEAR}
+          </button>
         </div>
       )}
 
       {/* Running controls */}
-      {(isRunning || scenario) && !gameOver && (
+      {(isRunning || scenario) && !gameOver && !awaitingDecision && !gameFinished && (
         <div style={{ display: 'flex', gap: '10px', marginBottom: '16px' }}>
           <button
             onClick={() => setIsRunning(!isRunning)}
@@ -446,6 +817,26 @@ export default function TippingCascadeSimulator() {
         </div>
       )}
 
+      {scenario && (
+        <PlaybackBar
+          cursor={cursor}
+          frameCount={frames.length}
+          firstYear={frames[0].year}
+          year={year}
+          speed={speed}
+          speeds={SPEEDS}
+          atEnd={cursor === frames.length - 1 && isFinished(latestFrame)}
+          onSpeedChange={setSpeed}
+          onStepBack={stepBack}
+          onStepForward={() => {
+            setIsRunning(false);
+            stepForward();
+          }}
+          onScrub={scrubTo}
+          onRunToEnd={runToEndInstantly}
+        />
+      )}
+
       {/* Network Visualization */}
       <div style={{
         background: 'rgba(30, 41, 59, 0.5)',
@@ -453,210 +844,417 @@ export default function TippingCascadeSimulator() {
         padding: '16px',
         marginBottom: '16px',
         position: 'relative',
-        height: '320px'
+        height: mapView ? 'auto' : '320px'
       }}>
-        {/* Connection lines with arrows */}
-        <svg 
-          style={{ 
-            position: 'absolute', 
-            inset: '16px', 
-            width: 'calc(100% - 32px)', 
-            height: 'calc(100% - 32px)',
-            overflow: 'visible'
-          }} 
-          viewBox="0 0 100 100"
+        <div style={{ position: 'absolute', top: '10px', right: '10px', zIndex: 20, display: 'flex', gap: '6px' }}>
+          <button
+            onClick={() => setMapView(!mapView)}
+            title={mapView ? 'Show the elements as an abstract network' : 'Show the elements where they are on Earth'}
+            style={{
+              padding: '4px 10px',
+              background: 'rgba(15, 23, 42, 0.6)',
+              border: '1px solid rgba(100, 116, 139, 0.3)',
+              borderRadius: '100px',
+              color: '#94a3b8',
+              fontSize: '11px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            {mapView ? '🕸️ Network' : '🗺️ Map'}
+          </button>
+          <button
+            onClick={() => {
+              setEditingNetwork(!editingNetwork);
+              setSelectedLink(null);
+            }}
+            style={{
+              padding: '4px 10px',
+              background: editingNetwork ? 'rgba(96, 165, 250, 0.25)' : 'rgba(15, 23, 42, 0.6)',
+              border: `1px solid ${editingNetwork ? '#60a5fa' : 'rgba(100, 116, 139, 0.3)'}`,
+              borderRadius: '100px',
+              color: editingNetwork ? '#93c5fd' : '#94a3b8',
+              fontSize: '11px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            {editingNetwork ? '✓ Done editing' : '✏️ Edit links'}
+          </button>
+          {!mapView && pinnedIds.length > 0 && (
+            <button
+              onClick={() => setPinnedPositions(Object.fromEntries(
+                Object.entries(pinnedPositions).filter(([id]) => !pinnedIds.includes(id))
+              ))}
+              title="Unpin every node and let the layout place them"
+              style={{
+                padding: '4px 10px',
+                background: 'rgba(15, 23, 42, 0.6)',
+                border: '1px solid rgba(100, 116, 139, 0.3)',
+                borderRadius: '100px',
+                color: '#94a3b8',
+                fontSize: '11px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              ↺ Reset layout
+            </button>
+          )}
+        </div>
+
+        {/* The map keeps the projection's aspect ratio; the network fills the panel */}
+        <div
+          ref={diagramRef}
+          style={mapView
+            ? { position: 'relative', aspectRatio: `${MAP_WIDTH} / ${MAP_HEIGHT}` }
+            : { position: 'absolute', inset: 0 }}
         >
-          <defs>
-            {/* Smaller arrow markers */}
-            <marker id="arrowRed" markerWidth="6" markerHeight="6" refX="5" refY="2" orient="auto" markerUnits="strokeWidth">
-              <path d="M0,0 L0,4 L6,2 z" fill="#ef4444" />
-            </marker>
-            <marker id="arrowGreen" markerWidth="6" markerHeight="6" refX="5" refY="2" orient="auto" markerUnits="strokeWidth">
-              <path d="M0,0 L0,4 L6,2 z" fill="#22c55e" />
-            </marker>
-            <marker id="arrowGray" markerWidth="6" markerHeight="6" refX="5" refY="2" orient="auto" markerUnits="strokeWidth">
-              <path d="M0,0 L0,4 L6,2 z" fill="#94a3b8" />
-            </marker>
-            <marker id="arrowRedActive" markerWidth="8" markerHeight="8" refX="6" refY="3" orient="auto" markerUnits="strokeWidth">
-              <path d="M0,0 L0,6 L8,3 z" fill="#ef4444" />
-            </marker>
-            <marker id="arrowGreenActive" markerWidth="8" markerHeight="8" refX="6" refY="3" orient="auto" markerUnits="strokeWidth">
-              <path d="M0,0 L0,6 L8,3 z" fill="#22c55e" />
-            </marker>
-          </defs>
+          {mapView && <WorldMap />}
+
+          {/* Connection lines with arrows */}
+          <svg 
+            style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', overflow: 'visible' }}
+            viewBox={mapView ? `0 0 ${MAP_WIDTH} ${MAP_HEIGHT}` : `0 0 ${100 * diagramAspect} 100`}
+          >
+            <defs>
+              {/* Smaller arrow markers */}
+              <marker id="arrowRed" markerWidth="6" markerHeight="6" refX="5" refY="2" orient="auto" markerUnits="strokeWidth">
+                <path d="M0,0 L0,4 L6,2 z" fill="#ef4444" />
+              </marker>
+              <marker id="arrowGreen" markerWidth="6" markerHeight="6" refX="5" refY="2" orient="auto" markerUnits="strokeWidth">
+                <path d="M0,0 L0,4 L6,2 z" fill="#22c55e" />
+              </marker>
+              <marker id="arrowGray" markerWidth="6" markerHeight="6" refX="5" refY="2" orient="auto" markerUnits="strokeWidth">
+                <path d="M0,0 L0,4 L6,2 z" fill="#94a3b8" />
+              </marker>
+              <marker id="arrowRedActive" markerWidth="8" markerHeight="8" refX="6" refY="3" orient="auto" markerUnits="strokeWidth">
+                <path d="M0,0 L0,6 L8,3 z" fill="#ef4444" />
+              </marker>
+              <marker id="arrowGreenActive" markerWidth="8" markerHeight="8" refX="6" refY="3" orient="auto" markerUnits="strokeWidth">
+                <path d="M0,0 L0,6 L8,3 z" fill="#22c55e" />
+              </marker>
+            </defs>
           
-          {INTERACTIONS.map((int, i) => {
-            const fromPos = TIPPING_ELEMENTS[int.from].position;
-            const toPos = TIPPING_ELEMENTS[int.to].position;
-            const isActive = elements[int.from]?.tipped;
+            {drawnLinks.map(({ int, index }, i) => {
+              // Network units are percent of the height, so x is scaled by the aspect ratio
+              const fromPos = { x: nodePositions[int.from].x * diagramAspect, y: nodePositions[int.from].y };
+              const toPos = { x: nodePositions[int.to].x * diagramAspect, y: nodePositions[int.to].y };
+              const isActive = elements[int.from]?.tipped;
             
-            const color = int.type === 'destabilizing' ? '#ef4444' : 
-                         int.type === 'stabilizing' ? '#22c55e' : '#94a3b8';
+              const color = int.type === 'destabilizing' ? '#ef4444' : 
+                           int.type === 'stabilizing' ? '#22c55e' : '#94a3b8';
             
-            const markerId = int.type === 'destabilizing' 
-              ? (isActive ? 'arrowRedActive' : 'arrowRed')
-              : int.type === 'stabilizing' 
-                ? (isActive ? 'arrowGreenActive' : 'arrowGreen')
-                : 'arrowGray';
+              const markerId = int.type === 'destabilizing' 
+                ? (isActive ? 'arrowRedActive' : 'arrowRed')
+                : int.type === 'stabilizing' 
+                  ? (isActive ? 'arrowGreenActive' : 'arrowGreen')
+                  : 'arrowGray';
             
-            const reverseLink = INTERACTIONS.find(other => other.from === int.to && other.to === int.from);
-            const curveOffset = reverseLink ? (INTERACTIONS.indexOf(reverseLink) > i ? 10 : -10) : 8;
+              const isSelected = editingNetwork && selectedLink === index;
             
-            const { path } = getArrowPath(fromPos, toPos, curveOffset);
+              // On the map links follow great circles, bent apart when they share a pair of elements
+              const path = mapView
+                ? arcPath(tippingElements[int.from].location, tippingElements[int.to].location, { bend: curveOffsets[i], trim: 7 })
+                : getArrowPath(fromPos, toPos, curveOffsets[i]).path;
             
-            return (
-              <g key={i}>
-                {isActive && (
+              return (
+                <g key={index}>
+                  {isSelected && (
+                    <path d={path} fill="none" stroke="white" strokeWidth={4} strokeOpacity={0.35} strokeLinecap="round" />
+                  )}
+                  {isActive && (
+                    <path
+                      d={path}
+                      fill="none"
+                      stroke={color}
+                      strokeWidth={5}
+                      strokeOpacity={0.25}
+                      strokeLinecap="round"
+                    />
+                  )}
                   <path
                     d={path}
                     fill="none"
                     stroke={color}
-                    strokeWidth={5}
-                    strokeOpacity={0.25}
+                    strokeWidth={isActive ? 2.5 : 1.5}
+                    strokeOpacity={isActive ? 1 : 0.6}
+                    strokeDasharray={int.type === 'unclear' || int.sampledFrom ? '3 2' : 'none'}
                     strokeLinecap="round"
-                  />
-                )}
-                <path
-                  d={path}
-                  fill="none"
-                  stroke={color}
-                  strokeWidth={isActive ? 2.5 : 1.5}
-                  strokeOpacity={isActive ? 1 : 0.6}
-                  strokeDasharray={int.type === 'unclear' ? '3 2' : 'none'}
-                  strokeLinecap="round"
-                  markerEnd={`url(#${markerId})`}
-                  style={{ transition: 'all 0.3s' }}
-                />
-              </g>
-            );
-          })}
-        </svg>
+                    markerEnd={`url(#${markerId})`}
+                    style={{ transition: 'all 0.3s' }}
+                  >
+                    {int.sampledFrom && (
+                      <title>{`${int.label}: unclear link, drawn ${int.type} (strength ${int.strength.toFixed(1)}) for this run`}</title>
+                    )}
+                  </path>
+                  {editingNetwork && (
+                    <path
+                      d={path}
+                      fill="none"
+                      stroke="transparent"
+                      strokeWidth={6}
+                      onClick={() => setSelectedLink(index)}
+                      style={{ cursor: 'pointer', pointerEvents: 'stroke' }}
+                    >
+                      <title>{`${tippingElements[int.from].name} → ${tippingElements[int.to].name}: ${int.label}`}</title>
+                    </path>
+                  )}
+                </g>
+              );
+            })}
+          </svg>
 
-        {/* Tipping element nodes */}
-        {Object.values(TIPPING_ELEMENTS).map(element => {
-          const state = elements[element.id];
-          if (!state) return null;
-          const stress = calculateStress(element.id, elements, temperature);
+          {/* Tipping element nodes */}
+          {Object.values(tippingElements).map(element => {
+            const state = elements[element.id];
+            if (!state || !nodePositions[element.id]) return null;
+            const stress = calculateStress(sim, element.id);
+            const recovering = state.tipped && state.recovery > 0;
+            const recovered = !state.tipped && state.recoveredYear !== undefined;
           
-          return (
-            <div
-              key={element.id}
-              onClick={() => setSelectedElement(selectedElement?.id === element.id ? null : element)}
-              style={{
-                position: 'absolute',
-                left: `${element.position.x}%`,
-                top: `${element.position.y}%`,
-                transform: 'translate(-50%, -50%)',
-                cursor: 'pointer',
-                zIndex: 10
-              }}
-            >
-              {/* Stress ring */}
-              <svg width="80" height="80" style={{ position: 'absolute', top: '-14px', left: '-14px' }}>
-                <circle cx="40" cy="40" r="34" fill="none" stroke="rgba(255,255,255,0.1)" strokeWidth="5" />
-                <circle
-                  cx="40" cy="40" r="34"
-                  fill="none"
-                  stroke={state.tipped ? '#ef4444' : stress > 50 ? '#f97316' : element.color}
-                  strokeWidth="5"
-                  strokeDasharray={`${stress * 2.14} 214`}
-                  strokeLinecap="round"
-                  transform="rotate(-90 40 40)"
-                  style={{ transition: 'stroke-dasharray 0.4s ease' }}
-                />
-              </svg>
-              
-              {/* Node */}
-              <div style={{
-                width: '52px',
-                height: '52px',
-                borderRadius: '14px',
-                background: state.tipped 
-                  ? 'linear-gradient(135deg, #7f1d1d 0%, #450a0a 100%)'
-                  : `linear-gradient(135deg, ${element.color}30 0%, ${element.color}10 100%)`,
-                border: `2px solid ${state.tipped ? '#ef4444' : element.color}`,
-                display: 'flex',
-                flexDirection: 'column',
-                alignItems: 'center',
-                justifyContent: 'center',
-                transition: 'all 0.3s ease',
-                boxShadow: state.tipped 
-                  ? '0 0 25px rgba(239, 68, 68, 0.6)' 
-                  : `0 4px 12px ${element.color}30`
-              }}>
-                <span style={{ fontSize: '22px' }}>{element.icon}</span>
-              </div>
+            return (
+              <div
+                key={element.id}
+                onPointerDown={mapView ? undefined : (event) => startDrag(event, element.id)}
+                onPointerMove={mapView ? undefined : moveDrag}
+                onPointerUp={mapView ? undefined : endDrag}
+                onPointerCancel={mapView ? undefined : endDrag}
+                onClick={() => {
+                  if (justDragged.current) {
+                    justDragged.current = false;
+                    return;
+                  }
+                  setSelectedElement(selectedElement?.id === element.id ? null : element);
+                }}
+                style={{
+                  position: 'absolute',
+                  left: `${nodePositions[element.id].x}%`,
+                  top: `${nodePositions[element.id].y}%`,
+                  transform: mapView ? 'translate(-50%, -50%) scale(0.7)' : 'translate(-50%, -50%)',
+                  cursor: drag?.id === element.id ? 'grabbing' : 'pointer',
+                  touchAction: mapView ? 'auto' : 'none',
+                  zIndex: drag?.id === element.id ? 15 : 10
+                }}
+              >
+                {/* Stress ring; once tipped it shows the transition's progress instead */}
+                <svg width="80" height="80" style={{ position: 'absolute', top: '-14px', left: '-14px' }}>
+                  <circle cx="40" cy="40" r="34" fill="none" stroke="rgba(255,255,255,0.1)" strokeWidth="5" />
+                  <circle
+                    cx="40" cy="40" r="34"
+                    fill="none"
+                    stroke={recovering ? '#f59e0b' : state.tipped ? '#ef4444' : stress > 50 ? '#f97316' : element.color}
+                    strokeWidth="5"
+                    strokeDasharray={`${(recovering ? state.recovery * 100 : state.tipped ? state.progress * 100 : stress) * 2.14} 214`}
+                    strokeLinecap="round"
+                    transform="rotate(-90 40 40)"
+                    style={{ transition: 'stroke-dasharray 0.4s ease' }}
+                  />
+                </svg>
               
-              {/* Name label - positioned below node */}
-              <div style={{
-                position: 'absolute',
-                top: '58px',
-                left: '50%',
-                transform: 'translateX(-50%)',
-                textAlign: 'center',
-                whiteSpace: 'nowrap'
-              }}>
-                <div style={{ 
-                  fontSize: '11px', 
-                  fontWeight: '700', 
-                  color: state.tipped ? '#fca5a5' : element.color,
-                  textShadow: '0 1px 3px rgba(0,0,0,0.8)'
+                {/* Node */}
+                <div style={{
+                  width: '52px',
+                  height: '52px',
+                  borderRadius: '14px',
+                  background: recovering
+                    ? 'linear-gradient(135deg, #78350f 0%, #451a03 100%)'
+                    : state.tipped 
+                      ? 'linear-gradient(135deg, #7f1d1d 0%, #450a0a 100%)'
+                      : `linear-gradient(135deg, ${element.color}30 0%, ${element.color}10 100%)`,
+                  border: `2px ${recovered ? 'dashed' : 'solid'} ${recovering ? '#f59e0b' : state.tipped ? '#ef4444' : element.color}`,
+                  display: 'flex',
+                  flexDirection: 'column',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  transition: 'all 0.3s ease',
+                  boxShadow: state.tipped 
+                    ? '0 0 25px rgba(239, 68, 68, 0.6)' 
+                    : `0 4px 12px ${element.color}30`
                 }}>
-                  {element.name}
+                  <span style={{ fontSize: '22px' }}>{element.icon}</span>
                 </div>
-                <div style={{ 
-                  fontSize: '9px', 
-                  color: '#64748b',
-                  marginTop: '1px'
+              
+                {/* Name label - positioned below node */}
+                <div style={{
+                  position: 'absolute',
+                  top: '58px',
+                  left: '50%',
+                  transform: 'translateX(-50%)',
+                  textAlign: 'center',
+                  whiteSpace: 'nowrap'
                 }}>
-                  {element.shortDesc}
+                  <div style={{ 
+                    fontSize: '11px', 
+                    fontWeight: '700', 
+                    color: state.tipped ? '#fca5a5' : element.color,
+                    textShadow: '0 1px 3px rgba(0,0,0,0.8)'
+                  }}>
+                    {element.name}
+                  </div>
+                  {!mapView && (
+                    <div style={{ 
+                      fontSize: '9px', 
+                      color: '#64748b',
+                      marginTop: '1px'
+                    }}>
+                      {element.shortDesc}
+                    </div>
+                  )}
+                  {recovered && (
+                    <div style={{ fontSize: '9px', color: '#86efac', marginTop: '1px' }}>
+                      ↺ recovered {state.recoveredYear}
+                    </div>
+                  )}
                 </div>
-              </div>
               
-              {/* Status badge - positioned above node */}
-              <div style={{
-                position: 'absolute',
-                top: '-8px',
-                left: '50%',
-                transform: 'translateX(-50%)',
-                padding: '3px 8px',
-                borderRadius: '100px',
-                fontSize: '10px',
-                fontWeight: '700',
-                background: state.tipped ? '#ef4444' : stress > 60 ? '#f97316' : '#22c55e',
-                color: 'white',
-                boxShadow: '0 2px 6px rgba(0,0,0,0.3)'
-              }}>
-                {state.tipped ? '⚠️ TIPPED' : `${Math.round(stress)}%`}
+                {!mapView && pinnedPositions[element.id] && (
+                  <button
+                    onPointerDown={(event) => event.stopPropagation()}
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      unpin(element.id);
+                    }}
+                    title="Pinned here — click to let the layout place it"
+                    style={{
+                      position: 'absolute',
+                      top: '-10px',
+                      left: '-14px',
+                      padding: 0,
+                      background: 'none',
+                      border: 'none',
+                      fontSize: '12px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    📌
+                  </button>
+                )}
+
+                {/* Status badge - positioned above node */}
+                <div style={{
+                  position: 'absolute',
+                  top: '-8px',
+                  left: '50%',
+                  transform: 'translateX(-50%)',
+                  padding: '3px 8px',
+                  borderRadius: '100px',
+                  fontSize: '10px',
+                  fontWeight: '700',
+                  background: recovering ? '#f59e0b' : state.tipped ? '#ef4444' : stress > 60 ? '#f97316' : '#22c55e',
+                  color: 'white',
+                  boxShadow: '0 2px 6px rgba(0,0,0,0.3)',
+                  whiteSpace: 'nowrap'
+                }}>
+                  {recovering
+                    ? `↺ RECOVERING ${Math.round(state.recovery * 100)}%`
+                    : state.tipped
+                      ? `⚠️ TIPPED${state.progress < 1 ? ` ${Math.round(state.progress * 100)}%` : ''}`
+                      : `${Math.round(stress)}%`}
+                </div>
               </div>
-            </div>
-          );
-        })}
+            );
+          })}
 
-        {/* Center counter */}
-        <div style={{
-          position: 'absolute',
-          left: '50%',
-          top: '50%',
-          transform: 'translate(-50%, -50%)',
-          textAlign: 'center',
-          pointerEvents: 'none'
-        }}>
+          {/* Center counter; on the map it sits in the South Pacific */}
           <div style={{
-            fontSize: '44px',
-            fontWeight: '900',
-            color: tippedCount >= 3 ? '#ef4444' : tippedCount >= 1 ? '#f97316' : '#22c55e',
-            lineHeight: 1,
-            textShadow: '0 2px 10px rgba(0,0,0,0.5)'
+            position: 'absolute',
+            left: mapView ? '14%' : '50%',
+            top: mapView ? '74%' : '50%',
+            transform: 'translate(-50%, -50%)',
+            textAlign: 'center',
+            pointerEvents: 'none'
           }}>
-            {tippedCount}/4
-          </div>
-          <div style={{ fontSize: '11px', color: '#64748b', textTransform: 'uppercase', letterSpacing: '1px' }}>
-            Tipped
+            <div style={{
+              fontSize: '44px',
+              fontWeight: '900',
+              color: tippedCount >= Math.ceil(elementCount * 0.75) ? '#ef4444' : tippedCount >= 1 ? '#f97316' : '#22c55e',
+              lineHeight: 1,
+              textShadow: '0 2px 10px rgba(0,0,0,0.5)'
+            }}>
+              {tippedCount}/{elementCount}
+            </div>
+            <div style={{ fontSize: '11px', color: '#64748b', textTransform: 'uppercase', letterSpacing: '1px' }}>
+              Tipped
+            </div>
           </div>
         </div>
+
+        {mapView && unmapped.length > 0 && (
+          <div style={{ marginTop: '8px', fontSize: '11px', color: '#64748b' }}>
+            Not on the map (no location): {unmapped.map(el => el.name).join(', ')}
+          </div>
+        )}
       </div>
 
+      {editingNetwork && (
+        <NetworkEditor
+          tippingElements={tippingElements}
+          interactions={networkInteractions}
+          couplingStrength={couplingStrength}
+          unclearLinks={unclearLinks}
+          selectedIndex={selectedLink}
+          isModified={networkModified}
+          onSelect={setSelectedLink}
+          onChange={setNetworkInteractions}
+          onCouplingChange={setCouplingStrength}
+          onUnclearLinksChange={setUnclearLinks}
+          onReset={resetNetwork}
+        />
+      )}
+
+      {/* Time series */}
+      {scenario && history.length > 1 && (
+        <TimeSeriesChart
+          history={history}
+          cascadeLog={cascadeLog}
+          tippingElements={tippingElements}
+          endYear={sim.config.endYear}
+        />
+      )}
+
+      {scenario && history.length > 1 && (
+        <ImpactsPanel series={impactSeries(sim)} tippingElements={tippingElements} endYear={sim.config.endYear} />
+      )}
+
+      <CascadeTree cascadeLog={cascadeLog} tippingElements={tippingElements} />
+
+      {/* Export */}
+      {scenario && history.length > 1 && (
+        <div style={{
+          display: 'flex',
+          gap: '8px',
+          flexWrap: 'wrap',
+          alignItems: 'center',
+          marginBottom: '16px',
+          fontSize: '12px',
+          color: '#64748b'
+        }}>
+          <span>⬇ Export {isFinished(sim) ? 'run' : `run so far (to ${year})`}:</span>
+          {[
+            { label: 'Trajectory CSV', suffix: 'trajectory.csv', type: 'text/csv', content: trajectoryCsv },
+            { label: 'Events CSV', suffix: 'events.csv', type: 'text/csv', content: eventsCsv },
+            { label: 'Full run JSON', suffix: 'run.json', type: 'application/json', content: runJson }
+          ].map(file => (
+            <button
+              key={file.suffix}
+              onClick={() => downloadFile(`${scenario.id}-seed-${sim.seed}-${file.suffix}`, file.content(sim), file.type)}
+              style={{
+                padding: '5px 10px',
+                background: 'rgba(100, 116, 139, 0.2)',
+                border: '1px solid rgba(100, 116, 139, 0.3)',
+                borderRadius: '6px',
+                color: '#cbd5e1',
+                fontSize: '11px',
+                cursor: 'pointer'
+              }}
+            >
+              {file.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Selected element info (from diagram) */}
       {selectedElement && (
         <div style={{
@@ -675,6 +1273,21 @@ export default function TippingCascadeSimulator() {
               <div style={{ fontSize: '11px', color: '#64748b' }}>
                 Tipping threshold: {selectedElement.thresholdMin}–{selectedElement.thresholdMax}°C • {selectedElement.role}
               </div>
+              {selectedElement.reversalOffset !== undefined && (
+                <div style={{ fontSize: '11px', color: '#64748b' }}>
+                  Recovery: {selectedElement.reversalOffset}°C below its threshold for ~{selectedElement.recoveryYears} years
+                </div>
+              )}
+              {selectedElement.recoveryNote && (
+                <div style={{ fontSize: '11px', color: '#64748b', fontStyle: 'italic' }}>
+                  {selectedElement.recoveryNote}
+                </div>
+              )}
+              {selectedElement.transitionYears !== undefined && (
+                <div style={{ fontSize: '11px', color: '#64748b' }}>
+                  Transition once tipped: ~{selectedElement.transitionYears.toLocaleString()} years
+                </div>
+              )}
             </div>
           </div>
           <p style={{ margin: 0, fontSize: '12px', color: '#94a3b8', lineHeight: 1.6 }}>
@@ -697,21 +1310,47 @@ export default function TippingCascadeSimulator() {
           {cascadeLog.slice().reverse().map((event, i) => (
             <div key={i} style={{
               padding: '6px 10px',
-              background: event.isCascade ? 'rgba(239, 68, 68, 0.15)' : 'rgba(234, 179, 8, 0.15)',
+              background: event.type === 'recovered'
+                ? 'rgba(34, 197, 94, 0.15)'
+                : event.type === 'feedback'
+                  ? 'rgba(251, 146, 60, 0.15)'
+                  : event.type === 'policy'
+                    ? 'rgba(167, 139, 250, 0.15)'
+                    : event.isCascade ? 'rgba(239, 68, 68, 0.15)' : 'rgba(234, 179, 8, 0.15)',
               borderRadius: '6px',
               marginBottom: '4px',
               fontSize: '11px',
-              color: event.isCascade ? '#fca5a5' : '#fde047'
+              color: event.type === 'recovered'
+                ? '#86efac'
+                : event.type === 'feedback' ? '#fdba74' : event.type === 'policy' ? '#c4b5fd' : event.isCascade ? '#fca5a5' : '#fde047'
             }}>
               {event.icon} <strong>{event.year}</strong> @ {event.temp}°C — {event.element}
-              {event.isCascade && <span style={{ color: '#ef4444' }}> (CASCADE!)</span>}
+              {event.isCascade && (
+                <span style={{ color: '#ef4444' }}>
+                  {' '}(CASCADE from {event.triggeredBy.map(id => tippingElements[id]?.icon ?? id).join(' ')})
+                </span>
+              )}
+              {event.type === 'recovered' && <span style={{ color: '#22c55e' }}> (RECOVERED)</span>}
+              {Number(event.feedbackWarming) > 0 && (
+                <span style={{ color: '#fb923c' }}> (incl. +{event.feedbackWarming}°C feedback)</span>
+              )}
             </div>
           ))}
         </div>
       )}
 
+      {gameFinished && (
+        <PolicyScorecard
+          scorecard={policyScorecard(game, latestFrame)}
+          year={latestFrame.year}
+          tippingElements={tippingElements}
+          onPlayAgain={startGame}
+          onExit={resetSimulation}
+        />
+      )}
+
       {/* Game Over */}
-      {gameOver && (
+      {gameOver && !game && (
         <div style={{
           background: 'linear-gradient(135deg, rgba(127, 29, 29, 0.3) 0%, rgba(30, 27, 75, 0.3) 100%)',
           borderRadius: '16px',
@@ -723,7 +1362,10 @@ export default function TippingCascadeSimulator() {
           <div style={{ fontSize: '40px', marginBottom: '8px' }}>🌍💔</div>
           <h2 style={{ margin: '0 0 8px', color: '#fca5a5', fontSize: '18px' }}>Full Cascade by {year}</h2>
           <p style={{ color: '#94a3b8', margin: '0 0 16px', fontSize: '13px' }}>
-            All four tipping elements crossed their thresholds under the "{scenario?.name}" scenario.
+            {elementCount === 1
+              ? 'The selected tipping element crossed its threshold'
+              : `All ${NUMBER_WORDS[elementCount] ?? elementCount} tipping elements crossed their thresholds`} under
+            the "{scenario?.name}" scenario.
           </p>
           <button
             onClick={resetSimulation}
@@ -743,6 +1385,26 @@ export default function TippingCascadeSimulator() {
         </div>
       )}
 
+      <ConfigPanel
+        currentConfig={currentConfig}
+        loadedName={modelConfig.name}
+        isDefault={modelConfig === DEFAULT_CONFIG}
+        errors={configErrors}
+        source={configSource}
+        onLoad={applyConfig}
+        onRestoreDefaults={() => applyConfig(DEFAULT_CONFIG, null)}
+      />
+
+      <RunHistoryPanel
+        runs={savedRuns}
+        onRename={(id, name) => setSavedRuns(prev => prev.map(run => (run.id === id ? { ...run, name } : run)))}
+        onDelete={id => setSavedRuns(prev => prev.filter(run => run.id !== id))}
+      />
+
+      <EnsemblePanel tippingElements={selectedElements} simConfig={simOptions} scenarios={currentConfig.scenarios} />
+
+      <SweepPanel tippingElements={selectedElements} simConfig={simOptions} scenarios={currentConfig.scenarios} />
+
       {/* Explanation Box */}
       <div style={{
         background: 'rgba(30, 41, 59, 0.6)',
@@ -759,14 +1421,14 @@ export default function TippingCascadeSimulator() {
           interact and trigger cascade effects. <strong>Click any box below</strong> to learn what each tipping point means.
         </p>
 
-        {/* Clickable 2x2 grid */}
+        {/* Clickable element grid */}
         <div style={{ 
           display: 'grid',
-          gridTemplateColumns: '1fr 1fr',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))',
           gap: '8px',
           marginBottom: '12px'
         }}>
-          {Object.values(TIPPING_ELEMENTS).map(el => (
+          {Object.values(tippingElements).map(el => (
             <button
               key={el.id}
               onClick={() => setInfoElement(infoElement?.id === el.id ? null : el)}
@@ -824,6 +1486,10 @@ export default function TippingCascadeSimulator() {
             <div style={{ width: '20px', height: '2px', background: '#94a3b8', opacity: 0.6 }}></div>
             <span style={{ fontSize: '11px' }}>Uncertain</span>
           </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <div style={{ width: '20px', height: 0, borderTop: '2px dashed #ef4444' }}></div>
+            <span style={{ fontSize: '11px' }}>Uncertain, sign drawn for this run</span>
+          </div>
         </div>
 
         {/* How It Works - Collapsible */}
@@ -877,17 +1543,44 @@ export default function TippingCascadeSimulator() {
                 models real uncertainty — we can't predict exactly <em>when</em> a tipping point will be crossed, only the risk.
               </p>
               
+              <p style={{ margin: '0 0 10px' }}>
+                <strong style={{ color: '#93c5fd' }}>📐 Physical Model:</strong> The stress and probability rules above 
+                are a simplified heuristic. Switch to the physical model to integrate the coupled equations used in 
+                the paper instead: each element is a continuous state that sits in a "lower well" until warming 
+                (plus pushes from tipped neighbours) removes that well and it slides into the tipped state. 
+                Stress then shows how far an element has moved towards that point.
+              </p>
+
               <p style={{ margin: '0 0 10px' }}>
                 <strong style={{ color: '#93c5fd' }}>🔗 Cascade Effects:</strong> When one element tips, it affects 
                 connected elements via the arrows. Red arrows <em>increase</em> stress on the target (destabilizing), 
                 green arrows <em>decrease</em> stress (stabilizing), and gray dashed arrows have uncertain effects. 
-                This is how one tipping point can trigger others — the "domino effect" from the research paper.
+                This is how one tipping point can trigger others — the "domino effect" from the research paper. 
+                An event only counts as a cascade when warming alone would not have brought it into its tipping band; the cascade tree 
+                shows how much of that push came from warming and how much from each neighbour.
               </p>
               
+              <p style={{ margin: '0 0 10px' }}>
+                <strong style={{ color: '#93c5fd' }}>↺ Hysteresis & Recovery:</strong> Tipping is not undone simply by 
+                bringing warming back to the threshold. Each element must cool well below it (about 0.5°C for the 
+                AMOC, 1.5–2°C for the ice sheets) and stay there for decades to centuries before it recovers. 
+                Recovering elements turn amber and their ring shows recovery progress.
+              </p>
+
+              <p style={{ margin: '0 0 10px' }}>
+                <strong style={{ color: '#93c5fd' }}>⏳ Transition Timescales:</strong> Tipping starts a transition rather 
+                than completing one. Coral reefs and the Labrador Sea convection collapse within about a decade, the 
+                Amazon and boreal forests over a century, and the ice sheets over thousands of years. A tipped 
+                element's ring fills as its transition progresses, and it pushes on its neighbours only as strongly 
+                as it has progressed — so a freshly tipped Greenland barely affects the AMOC at first.
+              </p>
+
               <p style={{ margin: '0' }}>
                 <strong style={{ color: '#93c5fd' }}>🔄 Run It Again:</strong> Because of the randomization, you might see 
                 Greenland tip at 1.3°C in one run and 2.1°C in another — both are scientifically plausible. Try running 
-                the same scenario multiple times to see the range of possible outcomes!
+                the same scenario multiple times to see the range of possible outcomes, or use <strong>Ensemble mode</strong> to 
+                run thousands of them at once and get the probability of each element tipping. Every run has a 
+                <strong> seed</strong>: enter the same seed and press "Replay this run" to reproduce it exactly.
               </p>
             </div>
           </div>
@@ -0,0 +1,130 @@
+import React from 'react';
+import { START_YEAR, attributionShares } from '../simulation/engine.js';
+
+const WIDTH = 600;
+const ROW_HEIGHT = 26;
+const PAD = { left: 130, right: 16, top: 8, bottom: 20 };
+const WARMING_COLOR = '#f97316';
+
+const pct = (share) => `${Math.round(share * 100)}%`;
+
+// Who triggered whom: every tipping of the run on a timeline, one row per
+// event, with an arrow from each tipped neighbour that pushed it over (thicker
+// for a larger share). Below it, each event's push split into warming and links.
+export default function CascadeTree({ cascadeLog, tippingElements }) {
+  const tips = cascadeLog.filter(event => event.type === 'tipped' && event.attribution && event.id in tippingElements);
+  if (tips.length === 0) return null;
+
+  const lastYear = Math.ceil((tips[tips.length - 1].year + 10) / 25) * 25;
+  const height = PAD.top + tips.length * ROW_HEIGHT + PAD.bottom;
+  const x = (year) => PAD.left + ((year - START_YEAR) / (lastYear - START_YEAR)) * (WIDTH - PAD.left - PAD.right);
+  const y = (row) => PAD.top + row * ROW_HEIGHT + ROW_HEIGHT / 2;
+  // The cause's most recent tipping before this one (an element may tip again after recovering)
+  const causeRow = (id, row) => tips.slice(0, row).map(e => e.id).lastIndexOf(id);
+
+  return (
+    <div style={{
+      background: 'rgba(30, 41, 59, 0.5)',
+      borderRadius: '16px',
+      padding: '12px 16px',
+      marginBottom: '16px'
+    }}>
+      <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '6px' }}>
+        🌳 Cascade tree — arrows show which tipped elements pushed each one over
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} style={{ width: '100%', height: 'auto', display: 'block' }}>
+        <defs>
+          <marker id="cascade-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="5" markerHeight="5" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#cbd5e1" />
+          </marker>
+        </defs>
+        {[START_YEAR, lastYear].map(year => (
+          <text key={year} x={x(year)} y={height - 4} textAnchor={year === START_YEAR ? 'start' : 'end'} fontSize="9" fill="#64748b">
+            {year}
+          </text>
+        ))}
+
+        {tips.map((event, row) => attributionShares(event.attribution).links
+          .filter(link => event.triggeredBy.includes(link.from) && causeRow(link.from, row) >= 0)
+          .map(link => {
+            const from = causeRow(link.from, row);
+            const x1 = x(tips[from].year);
+            const x2 = x(event.year);
+            return (
+              <path
+                key={`${row}-${link.from}`}
+                d={`M ${x1} ${y(from) + 6} C ${x1} ${y(row)}, ${x1} ${y(row)}, ${x2 - 7} ${y(row)}`}
+                fill="none"
+                stroke={tippingElements[link.from]?.color ?? '#cbd5e1'}
+                strokeWidth={1 + link.share * 4}
+                opacity="0.8"
+                markerEnd="url(#cascade-arrow)"
+              >
+                <title>{`${tippingElements[link.from]?.name ?? link.from} → ${tippingElements[event.id].name}: ${pct(link.share)} of the push`}</title>
+              </path>
+            );
+          }))}
+
+        {tips.map((event, row) => {
+          const element = tippingElements[event.id];
+          return (
+            <g key={row}>
+              <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(row)} y2={y(row)} stroke="rgba(255,255,255,0.05)" />
+              <text x={PAD.left - 8} y={y(row) + 4} textAnchor="end" fontSize="11" fill={element.color}>
+                {element.icon} {element.name}
+              </text>
+              <circle cx={x(event.year)} cy={y(row)} r="6" fill={element.color} stroke={event.isCascade ? '#ef4444' : '#fde047'} strokeWidth="2">
+                <title>{`${element.name} tipped in ${event.year} at ${event.temp}°C`}</title>
+              </circle>
+              <text x={x(event.year) + 10} y={y(row) + 4} fontSize="9" fill="#94a3b8">{event.year}</text>
+            </g>
+          );
+        })}
+      </svg>
+
+      <div style={{ marginTop: '8px', fontSize: '11px', color: '#94a3b8' }}>
+        {tips.map((event, row) => {
+          const element = tippingElements[event.id];
+          const shares = attributionShares(event.attribution);
+          const pushes = shares.links.filter(link => link.share > 0);
+          const pulls = shares.links.filter(link => link.share < 0);
+          const name = (id) => `${tippingElements[id]?.icon ?? ''} ${tippingElements[id]?.name ?? id}`;
+          return (
+            <div key={row} style={{ marginBottom: '6px' }}>
+              <div>
+                <span style={{ color: element.color }}>{element.icon} {element.name}</span> {event.year} —{' '}
+                <span style={{ color: WARMING_COLOR }}>warming {pct(shares.warming)}</span>
+                {pushes.map(link => (
+                  <span key={link.from}>
+                    {' '}• {name(link.from)} {pct(link.share)}
+                    {!link.tipped && <span style={{ color: '#64748b' }}> (not tipped)</span>}
+                  </span>
+                ))}
+                {pulls.map(link => (
+                  <span key={link.from} style={{ color: '#86efac' }}> • {name(link.from)} held back {pct(-link.share)}</span>
+                ))}
+              </div>
+              <div style={{ display: 'flex', height: '5px', borderRadius: '3px', overflow: 'hidden', marginTop: '2px' }}>
+                <div style={{ width: pct(shares.warming), background: WARMING_COLOR }} />
+                {pushes.map(link => (
+                  <div
+                    key={link.from}
+                    style={{
+                      width: pct(link.share),
+                      background: tippingElements[link.from]?.color ?? '#cbd5e1',
+                      opacity: link.tipped ? 1 : 0.4
+                    }}
+                  />
+                ))}
+              </div>
+            </div>
+          );
+        })}
+        <p style={{ margin: '8px 0 0', fontSize: '10px', color: '#475569', lineHeight: 1.5 }}>
+          Shares split the destabilizing push on an element in the year it tipped. In the cusp model untipped
+          neighbours push a little too; only tipped ones count as triggers.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { exportConfig, parseConfigJson } from '../simulation/config.js';
+
+const smallButton = {
+  padding: '6px 12px',
+  background: 'rgba(100, 116, 139, 0.2)',
+  border: '1px solid rgba(100, 116, 139, 0.3)',
+  borderRadius: '8px',
+  color: '#cbd5e1',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
+
+export function downloadFile(filename, content, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// `currentConfig` is the configuration as currently edited in the app (selected
+// elements, edited links, coupling...), which is what gets downloaded
+export default function ConfigPanel({ currentConfig, loadedName, isDefault, errors, source, onLoad, onRestoreDefaults }) {
+  const [open, setOpen] = useState(false);
+  const [fileErrors, setFileErrors] = useState([]);
+  const shownErrors = fileErrors.length > 0 ? fileErrors : errors;
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      const result = parseConfigJson(text);
+      setFileErrors(result.errors);
+      if (result.config) onLoad(result.config, file.name);
+    });
+    e.target.value = '';
+  };
+
+  const download = () => {
+    const slug = currentConfig.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'config';
+    downloadFile(`${slug}.json`, JSON.stringify(exportConfig(currentConfig), null, 2));
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(30, 41, 59, 0.5)',
+      borderRadius: '16px',
+      padding: '12px 16px',
+      marginBottom: '16px'
+    }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{
+          width: '100%',
+          padding: 0,
+          background: 'none',
+          border: 'none',
+          color: '#cbd5e1',
+          fontSize: '13px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}
+      >
+        <span>⚙️ Model configuration — <span style={{ color: '#94a3b8', fontWeight: '400' }}>{loadedName}</span></span>
+        <span style={{ transform: open ? 'rotate(180deg)' : 'rotate(0deg)', transition: 'transform 0.2s' }}>▼</span>
+      </button>
+
+      {(open || shownErrors.length > 0) && (
+        <div style={{ marginTop: '12px', fontSize: '12px', color: '#94a3b8' }}>
+          <p style={{ margin: '0 0 10px', lineHeight: 1.6 }}>
+            Download the current elements, interactions, scenarios and constants as JSON, edit them, and load the
+            file back. A configuration can also be opened from a link with <code>?config=&lt;url of the JSON file&gt;</code>.
+          </p>
+          {source && <p style={{ margin: '0 0 10px', color: '#64748b' }}>Loaded from {source}</p>}
+
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+            <button onClick={download} style={smallButton}>⬇ Download JSON</button>
+            <label style={{ ...smallButton, display: 'inline-block' }}>
+              ⬆ Load JSON…
+              <input type="file" accept=".json,application/json" onChange={handleFile} style={{ display: 'none' }} />
+            </label>
+            {!isDefault && (
+              <button onClick={() => { setFileErrors([]); onRestoreDefaults(); }} style={smallButton}>
+                ↺ Restore default model
+              </button>
+            )}
+          </div>
+
+          {shownErrors.length > 0 && (
+            <div style={{
+              marginTop: '10px',
+              padding: '10px',
+              background: 'rgba(239, 68, 68, 0.1)',
+              border: '1px solid rgba(239, 68, 68, 0.3)',
+              borderRadius: '8px',
+              color: '#fca5a5',
+              maxHeight: '160px',
+              overflowY: 'auto'
+            }}>
+              <div style={{ fontWeight: '600', marginBottom: '4px' }}>
+                The configuration was not loaded ({shownErrors.length} problem{shownErrors.length === 1 ? '' : 's'}):
+              </div>
+              {shownErrors.map((err, i) => <div key={i} style={{ fontFamily: 'monospace', fontSize: '11px' }}>• {err}</div>)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React from 'react';
+import { ELEMENT_CATALOGUE, WUNDERLING_ELEMENT_IDS } from '../simulation/data.js';
+
+export default function ElementPicker({ catalogue = ELEMENT_CATALOGUE, selectedIds, onChange }) {
+  const ids = Object.keys(catalogue);
+  const presets = [
+    { label: 'Wunderling et al. (4)', ids: WUNDERLING_ELEMENT_IDS },
+    { label: `Full catalogue (${ids.length})`, ids }
+  ].filter(preset => preset.ids.every(id => id in catalogue));
+
+  const toggle = (id) => {
+    if (selectedIds.includes(id)) {
+      if (selectedIds.length > 1) onChange(selectedIds.filter(other => other !== id));
+    } else {
+      onChange(ids.filter(other => other === id || selectedIds.includes(other)));
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px', gap: '6px', flexWrap: 'wrap' }}>
+        <span style={{ fontSize: '11px', color: '#64748b' }}>
+          Tipping elements to simulate ({selectedIds.length} selected)
+        </span>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {presets.map(preset => (
+            <button
+              key={preset.label}
+              onClick={() => onChange(preset.ids)}
+              style={{
+                padding: '3px 8px',
+                background: 'transparent',
+                border: '1px solid rgba(100, 116, 139, 0.3)',
+                borderRadius: '100px',
+                color: '#94a3b8',
+                fontSize: '10px',
+                cursor: 'pointer'
+              }}
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+        {Object.values(catalogue).map(el => {
+          const selected = selectedIds.includes(el.id);
+          return (
+            <button
+              key={el.id}
+              onClick={() => toggle(el.id)}
+              title={`${el.fullName}: ${el.thresholdMin}–${el.thresholdMax}°C`}
+              style={{
+                padding: '5px 10px',
+                background: selected ? `${el.color}25` : 'transparent',
+                border: `1px solid ${selected ? el.color : 'rgba(100, 116, 139, 0.3)'}`,
+                borderRadius: '100px',
+                color: selected ? el.color : '#64748b',
+                fontSize: '11px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              {el.icon} {el.name}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
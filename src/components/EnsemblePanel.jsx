@@ -0,0 +1,325 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { SCENARIOS, TIPPING_ELEMENTS } from '../simulation/data.js';
+import { ENSEMBLE_HORIZONS, summarizeEnsemble } from '../simulation/ensemble.js';
+import { startJob } from '../simulation/workerClient.js';
+import { randomSeed, normalizeSeed } from '../simulation/random.js';
+import { ensembleCsv } from '../simulation/export.js';
+import { downloadFile } from './ConfigPanel.jsx';
+
+const RUN_COUNTS = [100, 1000, 5000, 10000];
+
+const pct = (p) => `${(p * 100).toFixed(p > 0 && p < 0.01 ? 1 : 0)}%`;
+
+function Histogram({ bins, color, formatLabel }) {
+  if (bins.length === 0) return <span style={{ color: '#475569' }}>—</span>;
+  const max = Math.max(...bins.map(b => b.count));
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-end', gap: '1px', height: '28px' }}>
+      {bins.map(bin => (
+        <div
+          key={bin.start}
+          title={`${formatLabel(bin.start)}–${formatLabel(bin.end)}: ${bin.count} runs`}
+          style={{
+            flex: 1,
+            minWidth: '3px',
+            height: `${Math.max(2, (bin.count / max) * 100)}%`,
+            background: color,
+            opacity: 0.8,
+            borderRadius: '1px'
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default function EnsemblePanel({ tippingElements = TIPPING_ELEMENTS, scenarios = SCENARIOS, simConfig = {} }) {
+  const [open, setOpen] = useState(false);
+  const [scenarioId, setScenarioId] = useState(scenarios[0].id);
+  const [runs, setRuns] = useState(1000);
+  const [seedInput, setSeedInput] = useState(() => String(randomSeed()));
+  const [progress, setProgress] = useState(null);
+  const [paused, setPaused] = useState(false);
+  const [error, setError] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const jobRef = useRef(null);
+
+  useEffect(() => () => jobRef.current?.cancel(), []);
+
+  const startEnsemble = () => {
+    jobRef.current?.cancel();
+    const scenario = scenarios.find(s => s.id === scenarioId) ?? scenarios[0];
+    const config = { ...simConfig, tippingElements, scenario, seed: normalizeSeed(seedInput) };
+    const results = [];
+    setSummary(null);
+    setError(null);
+    setPaused(false);
+    setProgress(0);
+
+    // The runs happen in the simulation worker and stream back in batches
+    jobRef.current = startJob('ensemble', { config, runs }, {
+      onBatch: (items, done, total) => {
+        results.push(...items);
+        setProgress(done / total);
+      },
+      onDone: () => {
+        jobRef.current = null;
+        setProgress(null);
+        setSummary({
+          ...summarizeEnsemble(results, Object.keys(tippingElements)),
+          results,
+          scenario,
+          tippingElements,
+          seed: config.seed
+        });
+      },
+      onError: (err) => {
+        jobRef.current = null;
+        setProgress(null);
+        setError(err.message);
+      }
+    });
+  };
+
+  const cancelEnsemble = () => {
+    jobRef.current?.cancel();
+    jobRef.current = null;
+    setProgress(null);
+  };
+
+  const togglePause = () => {
+    if (paused) jobRef.current?.resume();
+    else jobRef.current?.pause();
+    setPaused(!paused);
+  };
+
+  const isBusy = progress !== null;
+
+  const inputStyle = {
+    padding: '6px 8px',
+    background: 'rgba(15, 23, 42, 0.8)',
+    border: '1px solid rgba(100, 116, 139, 0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    fontSize: '12px'
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(30, 41, 59, 0.5)',
+      borderRadius: '16px',
+      padding: '12px 16px',
+      marginBottom: '16px'
+    }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{
+          width: '100%',
+          padding: 0,
+          background: 'none',
+          border: 'none',
+          color: '#cbd5e1',
+          fontSize: '13px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}
+      >
+        <span>📊 Ensemble mode — probability of tipping</span>
+        <span style={{ transform: open ? 'rotate(180deg)' : 'rotate(0deg)', transition: 'transform 0.2s' }}>▼</span>
+      </button>
+
+      {open && (
+        <div style={{ marginTop: '12px', fontSize: '12px', color: '#94a3b8' }}>
+          <p style={{ margin: '0 0 10px', lineHeight: 1.6 }}>
+            Runs the same scenario many times with different randomly sampled thresholds and reports how often
+            each element tips. Each realisation runs to {ENSEMBLE_HORIZONS[ENSEMBLE_HORIZONS.length - 1]}.
+          </p>
+
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '10px' }}>
+            <select value={scenarioId} onChange={e => setScenarioId(e.target.value)} disabled={isBusy} style={inputStyle}>
+              {scenarios.map(s => <option key={s.id} value={s.id}>{s.icon} {s.name}</option>)}
+            </select>
+            <select value={runs} onChange={e => setRuns(Number(e.target.value))} disabled={isBusy} style={inputStyle}>
+              {RUN_COUNTS.map(n => <option key={n} value={n}>{n.toLocaleString()} runs</option>)}
+            </select>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              Seed
+              <input
+                value={seedInput}
+                onChange={e => setSeedInput(e.target.value)}
+                disabled={isBusy}
+                spellCheck={false}
+                style={{ ...inputStyle, width: '110px', fontFamily: 'monospace' }}
+              />
+            </label>
+            <button
+              onClick={isBusy ? cancelEnsemble : startEnsemble}
+              style={{
+                padding: '7px 16px',
+                background: isBusy ? 'rgba(239, 68, 68, 0.2)' : 'rgba(34, 197, 94, 0.2)',
+                border: `1px solid ${isBusy ? '#ef4444' : '#22c55e'}50`,
+                borderRadius: '8px',
+                color: isBusy ? '#fca5a5' : '#86efac',
+                fontSize: '12px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              {isBusy ? '✕ Cancel' : '▶ Run ensemble'}
+            </button>
+            {isBusy && (
+              <button
+                onClick={togglePause}
+                style={{
+                  padding: '7px 16px',
+                  background: 'rgba(100, 116, 139, 0.2)',
+                  border: '1px solid rgba(100, 116, 139, 0.3)',
+                  borderRadius: '8px',
+                  color: '#cbd5e1',
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                {paused ? '▶ Resume' : '⏸ Pause'}
+              </button>
+            )}
+            {isBusy && <span>{Math.round(progress * runs).toLocaleString()} / {runs.toLocaleString()}</span>}
+          </div>
+
+          {error && <div style={{ color: '#fca5a5', marginBottom: '10px' }}>The ensemble failed: {error}</div>}
+
+          {isBusy && (
+            <div style={{ height: '6px', borderRadius: '3px', background: 'rgba(255,255,255,0.1)', marginBottom: '10px' }}>
+              <div style={{
+                width: `${progress * 100}%`,
+                height: '100%',
+                borderRadius: '3px',
+                background: paused ? '#64748b' : '#60a5fa',
+                transition: 'width 0.2s'
+              }} />
+            </div>
+          )}
+
+          {summary && (
+            <div>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', marginBottom: '8px', color: '#64748b' }}>
+                <span>{summary.runs.toLocaleString()} runs of "{summary.scenario.name}" • seed {summary.seed}</span>
+                <button
+                  onClick={() => downloadFile(
+                    `ensemble-${summary.scenario.id}-seed-${summary.seed}.csv`,
+                    ensembleCsv(summary.results, Object.keys(summary.tippingElements)),
+                    'text/csv'
+                  )}
+                  style={{
+                    padding: '4px 10px',
+                    background: 'rgba(100, 116, 139, 0.2)',
+                    border: '1px solid rgba(100, 116, 139, 0.3)',
+                    borderRadius: '6px',
+                    color: '#cbd5e1',
+                    fontSize: '11px',
+                    cursor: 'pointer',
+                    whiteSpace: 'nowrap'
+                  }}
+                >
+                  ⬇ Per-run CSV
+                </button>
+              </div>
+
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px', marginBottom: '12px' }}>
+                <thead>
+                  <tr style={{ color: '#64748b', textAlign: 'left' }}>
+                    <th style={{ padding: '4px' }}>Element</th>
+                    {ENSEMBLE_HORIZONS.map(h => <th key={h} style={{ padding: '4px' }}>P(tipped by {h})</th>)}
+                    <th style={{ padding: '4px' }}>Tipping year (5–95%)</th>
+                    <th style={{ padding: '4px' }}>Tipping temp (5–95%)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(summary.elements).map(([id, stats]) => {
+                    const el = summary.tippingElements[id];
+                    return (
+                      <tr key={id} style={{ borderTop: '1px solid rgba(255,255,255,0.06)' }}>
+                        <td style={{ padding: '4px', color: el.color, whiteSpace: 'nowrap' }}>{el.icon} {el.name}</td>
+                        {ENSEMBLE_HORIZONS.map(h => (
+                          <td key={h} style={{ padding: '4px', color: '#cbd5e1' }}>{pct(stats.probabilityBy[h])}</td>
+                        ))}
+                        <td style={{ padding: '4px', minWidth: '110px' }}>
+                          <Histogram bins={stats.years.histogram} color={el.color} formatLabel={v => v} />
+                          {stats.years.count > 0 && (
+                            <div>{Math.round(stats.years.median)} ({Math.round(stats.years.p5)}–{Math.round(stats.years.p95)})</div>
+                          )}
+                        </td>
+                        <td style={{ padding: '4px', minWidth: '110px' }}>
+                          <Histogram bins={stats.temps.histogram} color={el.color} formatLabel={v => `${v.toFixed(2)}°C`} />
+                          {stats.temps.count > 0 && (
+                            <div>{stats.temps.median.toFixed(1)}°C ({stats.temps.p5.toFixed(1)}–{stats.temps.p95.toFixed(1)})</div>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {summary.bySign.length > 0 && (
+                <>
+                  <div style={{ marginBottom: '6px', color: '#64748b' }}>
+                    P(tipped by {ENSEMBLE_HORIZONS[ENSEMBLE_HORIZONS.length - 1]}) by the sign drawn for each unclear link
+                  </div>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px', marginBottom: '12px' }}>
+                    <thead>
+                      <tr style={{ color: '#64748b', textAlign: 'left' }}>
+                        <th style={{ padding: '4px' }}>Link</th>
+                        <th style={{ padding: '4px' }}>Drawn as</th>
+                        <th style={{ padding: '4px' }}>Runs</th>
+                        {Object.keys(summary.elements).map(id => (
+                          <th key={id} style={{ padding: '4px' }}>{summary.tippingElements[id].icon}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {summary.bySign.map(group => (
+                        <tr key={`${group.link}-${group.sign}`} style={{ borderTop: '1px solid rgba(255,255,255,0.06)' }}>
+                          <td style={{ padding: '4px', whiteSpace: 'nowrap' }}>
+                            {group.link.split('>').map(id => summary.tippingElements[id].icon).join(' → ')}
+                          </td>
+                          <td style={{ padding: '4px', color: group.sign === 'destabilizing' ? '#fca5a5' : '#86efac' }}>{group.sign}</td>
+                          <td style={{ padding: '4px' }}>{group.runs}</td>
+                          {Object.keys(summary.elements).map(id => (
+                            <td key={id} style={{ padding: '4px', color: '#cbd5e1' }}>{pct(group.probabilityTipped[id])}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+
+              <div style={{ marginBottom: '6px', color: '#64748b' }}>Elements tipped by the end of the run</div>
+              <div style={{ display: 'flex', gap: '6px' }}>
+                {summary.tippedCounts.map((p, count) => (
+                  <div key={count} style={{ flex: 1, textAlign: 'center' }}>
+                    <div style={{ height: '50px', display: 'flex', alignItems: 'flex-end' }}>
+                      <div style={{
+                        width: '100%',
+                        height: `${Math.max(2, p * 100)}%`,
+                        background: count === 0 ? '#22c55e' : count === summary.tippedCounts.length - 1 ? '#ef4444' : '#f97316',
+                        borderRadius: '3px 3px 0 0'
+                      }} />
+                    </div>
+                    <div style={{ color: '#cbd5e1' }}>{pct(p)}</div>
+                    <div style={{ fontSize: '10px' }}>{count}/{summary.tippedCounts.length - 1}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React from 'react';
+import { START_YEAR } from '../simulation/engine.js';
+import { IMPACT_METRICS } from '../simulation/impacts.js';
+
+const WIDTH = 600;
+const HEIGHT = 80;
+const PAD = { left: 36, right: 8, top: 6, bottom: 14 };
+
+const format = (value, metric) => `${value > 0 && metric.sign > 0 ? '+' : ''}${value.toFixed(metric.digits)}`;
+
+function ImpactChart({ series, metric, endYear }) {
+  // Drawn as magnitudes so cooling grows upwards like the other impacts
+  const magnitude = (row, kind, i) => Math.abs(row[metric.id][kind][i]);
+  const max = Math.max(...series.map(row => magnitude(row, 'committed', 2)), 1e-9);
+  const x = (year) => PAD.left + ((year - START_YEAR) / (endYear - START_YEAR)) * (WIDTH - PAD.left - PAD.right);
+  const y = (value) => PAD.top + (1 - value / max) * (HEIGHT - PAD.top - PAD.bottom);
+  const line = (kind, i) => series.map((row, j) => `${j === 0 ? 'M' : 'L'}${x(row.year).toFixed(1)},${y(magnitude(row, kind, i)).toFixed(1)}`).join(' ');
+  const band = (kind) => `${line(kind, 2)} ${series.slice().reverse().map(row => `L${x(row.year).toFixed(1)},${y(magnitude(row, kind, 0)).toFixed(1)}`).join(' ')} Z`;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto', display: 'block' }}>
+      <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(0)} y2={y(0)} stroke="rgba(255,255,255,0.1)" />
+      <text x={PAD.left - 4} y={y(max) + 7} textAnchor="end" fontSize="9" fill="#64748b">{format(metric.sign * max, metric)}</text>
+      <text x={PAD.left - 4} y={y(0)} textAnchor="end" fontSize="9" fill="#64748b">0</text>
+      <text x={PAD.left} y={HEIGHT - 2} fontSize="9" fill="#64748b">{START_YEAR}</text>
+      <text x={WIDTH - PAD.right} y={HEIGHT - 2} textAnchor="end" fontSize="9" fill="#64748b">{endYear}</text>
+      <path d={band('committed')} fill={metric.color} opacity="0.12" />
+      <path d={line('committed', 1)} fill="none" stroke={metric.color} strokeWidth="1.5" strokeDasharray="5 3" />
+      <path d={band('realised')} fill={metric.color} opacity="0.25" />
+      <path d={line('realised', 1)} fill="none" stroke={metric.color} strokeWidth="2" />
+    </svg>
+  );
+}
+
+// Committed and realised consequences of the tipped elements over the run.
+// `series` comes from impactSeries; metrics no simulated element contributes to are hidden.
+export default function ImpactsPanel({ series, tippingElements, endYear }) {
+  const metrics = IMPACT_METRICS.filter(metric => Object.values(tippingElements).some(el => el.impacts?.[metric.id]));
+  if (metrics.length === 0) return null;
+  const current = series[series.length - 1];
+
+  return (
+    <div style={{
+      background: 'rgba(30, 41, 59, 0.5)',
+      borderRadius: '16px',
+      padding: '12px 16px',
+      marginBottom: '16px'
+    }}>
+      <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '8px' }}>
+        🌍 Impacts — dashed: committed long-term, solid: realised so far (bands: low–high estimate)
+      </div>
+      {metrics.map(metric => {
+        const { committed, realised } = current[metric.id];
+        return (
+          <div key={metric.id} style={{ marginBottom: '10px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', flexWrap: 'wrap', fontSize: '12px' }}>
+              <span style={{ color: metric.color, fontWeight: '600' }}>{metric.label}</span>
+              <span style={{ color: '#cbd5e1' }}>
+                committed <strong>{format(committed[1], metric)} {metric.unit}</strong>
+                <span style={{ color: '#64748b' }}> ({format(committed[0], metric)} to {format(committed[2], metric)})</span>
+                {' '}• realised {format(realised[1], metric)} {metric.unit}
+              </span>
+            </div>
+            <ImpactChart series={series} metric={metric} endYear={endYear} />
+          </div>
+        );
+      })}
+      <p style={{ margin: 0, fontSize: '10px', color: '#475569', lineHeight: 1.5 }}>
+        Indicative values after Armstrong McKay et al. (2022). Ice sheets commit their sea-level rise when they tip but
+        take centuries to millennia to deliver it.
+      </p>
+    </div>
+  );
+}
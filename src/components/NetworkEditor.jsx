@@ -0,0 +1,221 @@
+import React, { useState } from 'react';
+import { DEFAULT_UNCLEAR_SAMPLING } from '../simulation/engine.js';
+
+export const LINK_TYPES = [
+  { id: 'destabilizing', label: 'Destabilizing', color: '#ef4444' },
+  { id: 'stabilizing', label: 'Stabilizing', color: '#22c55e' },
+  { id: 'unclear', label: 'Unclear', color: '#94a3b8' }
+];
+
+const inputStyle = {
+  padding: '5px 8px',
+  background: 'rgba(15, 23, 42, 0.8)',
+  border: '1px solid rgba(100, 116, 139, 0.3)',
+  borderRadius: '6px',
+  color: 'white',
+  fontSize: '12px'
+};
+
+const smallButton = {
+  padding: '5px 10px',
+  background: 'rgba(100, 116, 139, 0.2)',
+  border: '1px solid rgba(100, 116, 139, 0.3)',
+  borderRadius: '6px',
+  color: '#cbd5e1',
+  fontSize: '11px',
+  cursor: 'pointer'
+};
+
+// Controls for editing the interaction network. The links themselves are
+// picked by clicking arrows in the diagram; `selectedIndex` indexes `interactions`.
+export default function NetworkEditor({
+  tippingElements,
+  interactions,
+  couplingStrength,
+  unclearLinks,
+  selectedIndex,
+  isModified,
+  onSelect,
+  onChange,
+  onCouplingChange,
+  onUnclearLinksChange,
+  onReset
+}) {
+  const ids = Object.keys(tippingElements);
+  const [newFrom, setNewFrom] = useState(ids[0]);
+  const [newTo, setNewTo] = useState(ids[1] ?? ids[0]);
+  const candidate = interactions[selectedIndex];
+  const selected = candidate && candidate.from in tippingElements && candidate.to in tippingElements ? candidate : null;
+
+  const updateSelected = (changes) => {
+    onChange(interactions.map((int, i) => (i === selectedIndex ? { ...int, ...changes } : int)));
+  };
+
+  const deleteSelected = () => {
+    onChange(interactions.filter((_, i) => i !== selectedIndex));
+    onSelect(null);
+  };
+
+  const from = ids.includes(newFrom) ? newFrom : ids[0];
+  const to = ids.includes(newTo) ? newTo : ids[1] ?? ids[0];
+  const existingIndex = interactions.findIndex(int => int.from === from && int.to === to);
+
+  const updateSampling = (changes) => {
+    const next = { ...unclearLinks, ...changes };
+    if (next.strengthMin > next.strengthMax) {
+      if ('strengthMin' in changes) next.strengthMax = next.strengthMin;
+      else next.strengthMin = next.strengthMax;
+    }
+    onUnclearLinksChange(next);
+  };
+
+  const addLink = () => {
+    if (existingIndex >= 0) {
+      onSelect(existingIndex);
+      return;
+    }
+    onChange([...interactions, { from, to, type: 'destabilizing', strength: 5, label: 'Custom link' }]);
+    onSelect(interactions.length);
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(15, 23, 42, 0.6)',
+      border: '1px solid rgba(96, 165, 250, 0.3)',
+      borderRadius: '12px',
+      padding: '12px',
+      marginBottom: '16px',
+      fontSize: '12px',
+      color: '#94a3b8'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <strong style={{ color: '#93c5fd', fontSize: '13px' }}>🔧 Interaction network</strong>
+        <button onClick={onReset} disabled={!isModified} style={{ ...smallButton, opacity: isModified ? 1 : 0.5 }}>
+          ↺ Reset to paper values
+        </button>
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '10px' }}>
+        <span style={{ whiteSpace: 'nowrap' }}>Global coupling</span>
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.05}
+          value={couplingStrength}
+          onChange={e => onCouplingChange(Number(e.target.value))}
+          style={{ flex: 1 }}
+        />
+        <span style={{ color: 'white', fontFamily: 'monospace', width: '34px' }}>{couplingStrength.toFixed(2)}</span>
+      </label>
+
+      <div style={{ marginBottom: '10px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <input
+            type="checkbox"
+            checked={Boolean(unclearLinks)}
+            onChange={e => onUnclearLinksChange(e.target.checked ? DEFAULT_UNCLEAR_SAMPLING : null)}
+          />
+          <span>Draw the sign of unclear links in every run</span>
+        </label>
+        {unclearLinks ? (
+          <div style={{ marginTop: '6px', paddingLeft: '20px' }}>
+            {[
+              { key: 'probabilityDestabilizing', label: 'P(destabilizing)', max: 1, stepSize: 0.05, format: v => v.toFixed(2) },
+              { key: 'strengthMin', label: 'Strength from', max: 10, stepSize: 0.5, format: v => v },
+              { key: 'strengthMax', label: 'to', max: 10, stepSize: 0.5, format: v => v }
+            ].map(slider => (
+              <label key={slider.key} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+                <span style={{ width: '100px' }}>{slider.label}</span>
+                <input
+                  type="range"
+                  min={0}
+                  max={slider.max}
+                  step={slider.stepSize}
+                  value={unclearLinks[slider.key]}
+                  onChange={e => updateSampling({ [slider.key]: Number(e.target.value) })}
+                  style={{ flex: 1 }}
+                />
+                <span style={{ color: 'white', fontFamily: 'monospace', width: '34px' }}>{slider.format(unclearLinks[slider.key])}</span>
+              </label>
+            ))}
+          </div>
+        ) : (
+          <p style={{ margin: '4px 0 0', paddingLeft: '20px', fontSize: '11px', color: '#64748b' }}>
+            Off: unclear links give a fixed weak destabilizing push.
+          </p>
+        )}
+      </div>
+
+      {selected ? (
+        <div style={{
+          background: 'rgba(30, 41, 59, 0.6)',
+          borderRadius: '8px',
+          padding: '10px',
+          marginBottom: '10px'
+        }}>
+          <div style={{ color: 'white', marginBottom: '8px' }}>
+            {tippingElements[selected.from].icon} {tippingElements[selected.from].name} → {tippingElements[selected.to].icon} {tippingElements[selected.to].name}
+          </div>
+          <div style={{ display: 'flex', gap: '6px', marginBottom: '8px', flexWrap: 'wrap' }}>
+            {LINK_TYPES.map(type => (
+              <button
+                key={type.id}
+                onClick={() => updateSelected({ type: type.id })}
+                style={{
+                  ...smallButton,
+                  background: selected.type === type.id ? `${type.color}30` : 'transparent',
+                  border: `1px solid ${selected.type === type.id ? type.color : 'rgba(100, 116, 139, 0.3)'}`,
+                  color: selected.type === type.id ? type.color : '#94a3b8'
+                }}
+              >
+                {type.label}
+              </button>
+            ))}
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+            <span>Strength</span>
+            <input
+              type="range"
+              min={0}
+              max={20}
+              step={0.5}
+              value={selected.strength}
+              onChange={e => updateSelected({ strength: Number(e.target.value) })}
+              style={{ flex: 1 }}
+            />
+            <span style={{ color: 'white', fontFamily: 'monospace', width: '34px' }}>{selected.strength}</span>
+          </label>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <input
+              value={selected.label}
+              onChange={e => updateSelected({ label: e.target.value })}
+              style={{ ...inputStyle, flex: 1 }}
+            />
+            <button onClick={deleteSelected} style={{ ...smallButton, color: '#fca5a5' }}>🗑 Delete link</button>
+          </div>
+        </div>
+      ) : (
+        <p style={{ margin: '0 0 10px' }}>Click an arrow in the diagram to change its type or strength.</p>
+      )}
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap' }}>
+        <span>Add link</span>
+        <select value={from} onChange={e => setNewFrom(e.target.value)} style={inputStyle}>
+          {ids.map(id => <option key={id} value={id}>{tippingElements[id].name}</option>)}
+        </select>
+        <span>→</span>
+        <select value={to} onChange={e => setNewTo(e.target.value)} style={inputStyle}>
+          {ids.map(id => <option key={id} value={id}>{tippingElements[id].name}</option>)}
+        </select>
+        <button onClick={addLink} disabled={from === to} style={{ ...smallButton, opacity: from === to ? 0.5 : 1 }}>
+          {existingIndex >= 0 ? 'Select existing' : '+ Add'}
+        </button>
+      </div>
+
+      <p style={{ margin: '10px 0 0', fontSize: '11px', color: '#64748b' }}>
+        Edits apply from the next run you start.
+      </p>
+    </div>
+  );
+}
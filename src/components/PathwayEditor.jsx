@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import {
+  PATHWAY_PRESETS,
+  INTERPOLATIONS,
+  createPathwayScenario,
+  parsePathwayCsv,
+  temperatureAt,
+  validatePathway
+} from '../simulation/pathways.js';
+
+const inputStyle = {
+  padding: '5px 8px',
+  background: 'rgba(15, 23, 42, 0.8)',
+  border: '1px solid rgba(100, 116, 139, 0.3)',
+  borderRadius: '6px',
+  color: 'white',
+  fontSize: '12px'
+};
+
+const smallButton = {
+  padding: '5px 10px',
+  background: 'rgba(100, 116, 139, 0.2)',
+  border: '1px solid rgba(100, 116, 139, 0.3)',
+  borderRadius: '6px',
+  color: '#cbd5e1',
+  fontSize: '11px',
+  cursor: 'pointer'
+};
+
+function PathwayPreview({ scenario }) {
+  const points = scenario.pathway.points;
+  const firstYear = Math.min(2025, points[0].year);
+  const lastYear = Math.max(2100, points[points.length - 1].year + 20);
+  const samples = [];
+  for (let year = firstYear; year <= lastYear; year += Math.max(1, Math.round((lastYear - firstYear) / 150))) {
+    samples.push({ year, temp: temperatureAt(scenario, year) });
+  }
+  const maxTemp = Math.max(5, ...samples.map(s => s.temp));
+  const x = year => ((year - firstYear) / (lastYear - firstYear)) * 300;
+  const y = temp => 100 - (temp / maxTemp) * 100;
+
+  return (
+    <svg viewBox="-24 -6 330 122" style={{ width: '100%', height: '140px', marginBottom: '8px' }}>
+      {[1.5, 2, 3, 4].filter(t => t <= maxTemp).map(t => (
+        <g key={t}>
+          <line x1={0} x2={300} y1={y(t)} y2={y(t)} stroke="rgba(255,255,255,0.08)" strokeWidth={0.5} />
+          <text x={-4} y={y(t) + 2} fill="#64748b" fontSize={6} textAnchor="end">{t}°</text>
+        </g>
+      ))}
+      <text x={0} y={112} fill="#64748b" fontSize={6}>{firstYear}</text>
+      <text x={300} y={112} fill="#64748b" fontSize={6} textAnchor="end">{lastYear}</text>
+      <polyline
+        points={samples.map(s => `${x(s.year)},${y(s.temp)}`).join(' ')}
+        fill="none"
+        stroke={scenario.color}
+        strokeWidth={1.5}
+      />
+      {points.map((p, i) => (
+        <circle key={i} cx={x(p.year)} cy={y(p.temp)} r={2.5} fill="white" stroke={scenario.color} strokeWidth={1} />
+      ))}
+    </svg>
+  );
+}
+
+export default function PathwayEditor({ initialScenario, onRun, onClose }) {
+  const [name, setName] = useState(initialScenario?.name ?? 'Custom Pathway');
+  const [interpolation, setInterpolation] = useState(initialScenario?.pathway.interpolation ?? 'spline');
+  const [points, setPoints] = useState(() => initialScenario?.pathway.points ?? PATHWAY_PRESETS[0].points);
+  const [csvText, setCsvText] = useState('');
+  const [csvErrors, setCsvErrors] = useState([]);
+
+  const errors = validatePathway({ interpolation, points });
+  const scenario = errors.length === 0 ? createPathwayScenario({ name, interpolation, points }) : null;
+
+  const loadPreset = (preset) => {
+    setName(preset.name);
+    setInterpolation(preset.interpolation);
+    setPoints(preset.points);
+  };
+
+  const updatePoint = (index, field, value) => {
+    setPoints(points.map((p, i) => (i === index ? { ...p, [field]: value === '' ? NaN : Number(value) } : p)));
+  };
+
+  const addPoint = () => {
+    const last = points[points.length - 1];
+    setPoints([...points, { year: (last?.year ?? 2025) + 25, temp: last?.temp ?? 1.1 }]);
+  };
+
+  const importCsv = (text) => {
+    const result = parsePathwayCsv(text);
+    setCsvErrors(result.errors);
+    if (result.errors.length === 0) {
+      setPoints(result.points);
+      setCsvText('');
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      setName(file.name.replace(/\.[^.]+$/, ''));
+      importCsv(text);
+    });
+    e.target.value = '';
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(15, 23, 42, 0.6)',
+      border: '1px solid rgba(56, 189, 248, 0.3)',
+      borderRadius: '12px',
+      padding: '12px',
+      marginTop: '10px',
+      fontSize: '12px',
+      color: '#94a3b8'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <strong style={{ color: '#38bdf8', fontSize: '13px' }}>✏️ Custom temperature pathway</strong>
+        <button onClick={onClose} style={{ ...smallButton, background: 'none', border: 'none' }}>✕</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '10px' }}>
+        {PATHWAY_PRESETS.map(preset => (
+          <button key={preset.id} onClick={() => loadPreset(preset)} title={preset.description} style={smallButton}>
+            {preset.name}
+          </button>
+        ))}
+      </div>
+
+      {scenario ? <PathwayPreview scenario={scenario} /> : (
+        <div style={{ color: '#fca5a5', marginBottom: '8px' }}>
+          {errors.map(err => <div key={err}>⚠️ {err}</div>)}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '8px', flexWrap: 'wrap' }}>
+        <input value={name} onChange={e => setName(e.target.value)} style={{ ...inputStyle, flex: 1, minWidth: '140px' }} />
+        <select value={interpolation} onChange={e => setInterpolation(e.target.value)} style={inputStyle}>
+          {INTERPOLATIONS.map(i => <option key={i} value={i}>{i === 'spline' ? 'Smooth (spline)' : 'Piecewise linear'}</option>)}
+        </select>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr auto', gap: '4px', marginBottom: '8px' }}>
+        <span style={{ fontSize: '10px', color: '#64748b' }}>Year</span>
+        <span style={{ fontSize: '10px', color: '#64748b' }}>Warming (°C)</span>
+        <span />
+        {points.map((p, i) => (
+          <React.Fragment key={i}>
+            <input type="number" value={Number.isNaN(p.year) ? '' : p.year} onChange={e => updatePoint(i, 'year', e.target.value)} style={inputStyle} />
+            <input type="number" step="0.1" value={Number.isNaN(p.temp) ? '' : p.temp} onChange={e => updatePoint(i, 'temp', e.target.value)} style={inputStyle} />
+            <button onClick={() => setPoints(points.filter((_, j) => j !== i))} disabled={points.length <= 1} style={smallButton}>✕</button>
+          </React.Fragment>
+        ))}
+      </div>
+      <button onClick={addPoint} style={{ ...smallButton, marginBottom: '10px' }}>+ Add point</button>
+
+      <details style={{ marginBottom: '10px' }}>
+        <summary style={{ cursor: 'pointer', color: '#cbd5e1' }}>Import a series (CSV: year,temperature)</summary>
+        <textarea
+          value={csvText}
+          onChange={e => setCsvText(e.target.value)}
+          placeholder={'year,temp\n2025,1.2\n2050,1.9\n2100,2.7'}
+          rows={4}
+          style={{ ...inputStyle, width: '100%', marginTop: '6px', fontFamily: 'monospace' }}
+        />
+        <div style={{ display: 'flex', gap: '6px', marginTop: '4px', alignItems: 'center' }}>
+          <button onClick={() => importCsv(csvText)} style={smallButton}>Import pasted data</button>
+          <label style={{ ...smallButton, display: 'inline-block' }}>
+            Upload CSV…
+            <input type="file" accept=".csv,.txt,text/csv" onChange={handleFile} style={{ display: 'none' }} />
+          </label>
+        </div>
+        {csvErrors.map(err => <div key={err} style={{ color: '#fca5a5', marginTop: '4px' }}>⚠️ {err}</div>)}
+      </details>
+
+      <button
+        onClick={() => onRun(scenario)}
+        disabled={!scenario}
+        style={{
+          width: '100%',
+          padding: '10px',
+          background: scenario ? 'rgba(56, 189, 248, 0.2)' : 'rgba(100, 116, 139, 0.1)',
+          border: `1px solid ${scenario ? '#38bdf8' : '#475569'}50`,
+          borderRadius: '10px',
+          color: scenario ? '#7dd3fc' : '#64748b',
+          fontSize: '13px',
+          fontWeight: '600',
+          cursor: scenario ? 'pointer' : 'not-allowed'
+        }}
+      >
+        ▶ Run this pathway
+      </button>
+    </div>
+  );
+}
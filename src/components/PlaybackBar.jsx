@@ -0,0 +1,84 @@
+import React from 'react';
+
+const smallButton = {
+  padding: '5px 10px',
+  background: 'rgba(100, 116, 139, 0.2)',
+  border: '1px solid rgba(100, 116, 139, 0.3)',
+  borderRadius: '6px',
+  color: '#cbd5e1',
+  fontSize: '11px',
+  cursor: 'pointer'
+};
+
+// Speed, single-year steps and a scrubber over the years simulated so far.
+// `cursor` indexes the run's snapshots, the first of which is `firstYear`.
+export default function PlaybackBar({
+  cursor,
+  frameCount,
+  firstYear,
+  year,
+  speed,
+  speeds,
+  atEnd,
+  onSpeedChange,
+  onStepBack,
+  onStepForward,
+  onScrub,
+  onRunToEnd
+}) {
+  const lastYear = firstYear + frameCount - 1;
+
+  return (
+    <div style={{
+      background: 'rgba(30, 41, 59, 0.5)',
+      borderRadius: '12px',
+      padding: '10px 12px',
+      marginBottom: '16px',
+      fontSize: '11px',
+      color: '#94a3b8'
+    }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '8px' }}>
+        <button onClick={onStepBack} disabled={cursor === 0} title="One year back" style={{ ...smallButton, opacity: cursor === 0 ? 0.4 : 1 }}>
+          ⏮ Year
+        </button>
+        <button onClick={onStepForward} disabled={atEnd} title="One year forward" style={{ ...smallButton, opacity: atEnd ? 0.4 : 1 }}>
+          Year ⏭
+        </button>
+        <span style={{ marginLeft: '6px' }}>Speed</span>
+        {speeds.map(s => (
+          <button
+            key={s}
+            onClick={() => onSpeedChange(s)}
+            style={{
+              ...smallButton,
+              padding: '5px 8px',
+              background: speed === s ? 'rgba(96, 165, 250, 0.25)' : 'transparent',
+              border: `1px solid ${speed === s ? '#60a5fa' : 'rgba(100, 116, 139, 0.3)'}`,
+              color: speed === s ? '#93c5fd' : '#94a3b8'
+            }}
+          >
+            {s}×
+          </button>
+        ))}
+        <button onClick={onRunToEnd} disabled={atEnd} style={{ ...smallButton, opacity: atEnd ? 0.4 : 1 }}>
+          ⏩ Instant to end
+        </button>
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <span style={{ fontFamily: 'monospace' }}>{firstYear}</span>
+        <input
+          type="range"
+          min={0}
+          max={frameCount - 1}
+          value={cursor}
+          disabled={frameCount < 2}
+          onChange={e => onScrub(Number(e.target.value))}
+          style={{ flex: 1 }}
+        />
+        <span style={{ fontFamily: 'monospace' }}>{lastYear}</span>
+        <span style={{ color: 'white', fontFamily: 'monospace', fontWeight: '600', width: '40px', textAlign: 'right' }}>{year}</span>
+      </label>
+    </div>
+  );
+}
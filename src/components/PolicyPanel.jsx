@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import {
+  POLICY_ACTIONS,
+  POLICY_BUDGET,
+  DECISION_YEARS,
+  GAME_END_YEAR,
+  NO_ACTION,
+  decisionCost,
+  warmingRate
+} from '../simulation/policy.js';
+
+// The player's turn in the policy game: one option per action for the coming decade
+export default function PolicyPanel({ game, onDecide }) {
+  // Measures that only work while paid for start out continued from last decade
+  const [decision, setDecision] = useState(() => {
+    const last = game.decisions[game.decisions.length - 1];
+    return last ? { ...NO_ACTION, removal: last.decision.removal, srm: last.terminated ? 0 : last.decision.srm } : NO_ACTION;
+  });
+  const remaining = POLICY_BUDGET - game.spent;
+  const cost = decisionCost(decision);
+  const affordable = cost <= remaining + 1e-9;
+  const until = Math.min(game.year + DECISION_YEARS, GAME_END_YEAR);
+  const rate = warmingRate(game, game.year);
+
+  return (
+    <div style={{
+      background: 'rgba(139, 92, 246, 0.1)',
+      border: '1px solid rgba(167, 139, 250, 0.35)',
+      borderRadius: '16px',
+      padding: '16px',
+      marginBottom: '16px',
+      fontSize: '12px',
+      color: '#94a3b8'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '8px', flexWrap: 'wrap', marginBottom: '10px' }}>
+        <span style={{ fontSize: '14px', fontWeight: '600', color: '#c4b5fd' }}>🏛️ Policy for {game.year}–{until}</span>
+        <span>
+          Budget left <strong style={{ color: 'white' }}>{remaining.toFixed(1)}</strong> of {POLICY_BUDGET} • warming
+          now {(rate * 10).toFixed(2)}°C per decade
+          {game.masking > 0 && <> • {game.masking.toFixed(1)}°C masked</>}
+        </span>
+      </div>
+
+      {Object.entries(POLICY_ACTIONS).map(([id, action]) => (
+        <div key={id} style={{ marginBottom: '10px' }}>
+          <div style={{ color: '#cbd5e1', marginBottom: '4px' }}>
+            {action.icon} <strong>{action.name}</strong>
+            <span style={{ color: '#64748b' }}> — {action.description}</span>
+          </div>
+          <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+            {action.options.map((option, index) => {
+              const selected = decision[id] === index;
+              return (
+                <button
+                  key={option.label}
+                  onClick={() => setDecision({ ...decision, [id]: index })}
+                  style={{
+                    padding: '6px 12px',
+                    background: selected ? 'rgba(167, 139, 250, 0.25)' : 'transparent',
+                    border: `1px solid ${selected ? '#a78bfa' : 'rgba(100, 116, 139, 0.3)'}`,
+                    borderRadius: '100px',
+                    color: selected ? '#ddd6fe' : '#94a3b8',
+                    fontSize: '11px',
+                    fontWeight: '600',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {option.label}{option.cost > 0 && <span style={{ color: '#64748b' }}> • {option.cost}</span>}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+        <button
+          onClick={() => onDecide(decision)}
+          disabled={!affordable}
+          style={{
+            padding: '10px 20px',
+            background: 'linear-gradient(135deg, #7c3aed 0%, #3b82f6 100%)',
+            border: 'none',
+            borderRadius: '10px',
+            color: 'white',
+            fontSize: '13px',
+            fontWeight: '600',
+            cursor: affordable ? 'pointer' : 'not-allowed',
+            opacity: affordable ? 1 : 0.4
+          }}
+        >
+          ▶ Commit and play to {until}
+        </button>
+        <span style={{ color: affordable ? '#94a3b8' : '#fca5a5' }}>
+          Cost {cost}{!affordable && ' — more than the budget left'}
+        </span>
+      </div>
+
+      {game.decisions.length > 0 && (
+        <div style={{ marginTop: '12px', fontSize: '11px', color: '#64748b' }}>
+          {game.decisions.map(({ year, decision: past, cost: paid, terminated }) => (
+            <div key={year}>
+              {year}: {Object.entries(POLICY_ACTIONS)
+                .filter(([id]) => past[id] > 0)
+                .map(([id, action]) => `${action.icon} ${action.options[past[id]].label}`)
+                .join(', ') || 'no action'} • {paid}
+              {terminated && <span style={{ color: '#fca5a5' }}> • geoengineering cut off</span>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
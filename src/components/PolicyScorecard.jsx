@@ -0,0 +1,94 @@
+import React from 'react';
+import { GAME_END_YEAR } from '../simulation/policy.js';
+
+const OUTCOMES = {
+  stabilised: { icon: '🏆', title: 'Climate stabilised', color: '#86efac', text: 'No tipping points crossed and warming held to 1.5°C.' },
+  safe: { icon: '✅', title: 'No tipping points crossed', color: '#86efac', text: 'Every element held — though warming went past 1.5°C.' },
+  contained: { icon: '⚠️', title: 'Tipping contained', color: '#fde047', text: 'Some elements tipped, but none pushed another over.' },
+  cascade: { icon: '🔥', title: 'Cascade under way', color: '#fdba74', text: 'Tipped elements pushed others over the edge.' },
+  full: { icon: '🌍💔', title: 'Full cascade', color: '#fca5a5', text: 'Every tipping element crossed its threshold.' }
+};
+
+// End-of-game summary; `scorecard` comes from policyScorecard
+export default function PolicyScorecard({ scorecard, year, tippingElements, onPlayAgain, onExit }) {
+  const outcome = OUTCOMES[scorecard.outcome];
+  const stat = (label, value, color = 'white') => (
+    <div style={{ flex: '1 1 120px', padding: '10px', background: 'rgba(15, 23, 42, 0.5)', borderRadius: '10px' }}>
+      <div style={{ fontSize: '18px', fontWeight: '700', color }}>{value}</div>
+      <div style={{ fontSize: '11px', color: '#64748b' }}>{label}</div>
+    </div>
+  );
+
+  return (
+    <div style={{
+      background: scorecard.won
+        ? 'linear-gradient(135deg, rgba(20, 83, 45, 0.35) 0%, rgba(30, 27, 75, 0.3) 100%)'
+        : 'linear-gradient(135deg, rgba(127, 29, 29, 0.3) 0%, rgba(30, 27, 75, 0.3) 100%)',
+      borderRadius: '16px',
+      padding: '20px',
+      marginBottom: '16px',
+      textAlign: 'center',
+      border: `1px solid ${scorecard.won ? 'rgba(34, 197, 94, 0.3)' : 'rgba(239, 68, 68, 0.3)'}`
+    }}>
+      <div style={{ fontSize: '40px', marginBottom: '8px' }}>{outcome.icon}</div>
+      <h2 style={{ margin: '0 0 4px', color: outcome.color, fontSize: '18px' }}>
+        {scorecard.won ? 'You win' : 'You lose'}: {outcome.title}
+      </h2>
+      <p style={{ color: '#94a3b8', margin: '0 0 14px', fontSize: '13px' }}>
+        {outcome.text}{year < GAME_END_YEAR && ` The game ended early, in ${year}.`}
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        {stat('elements tipped', `${scorecard.tipped.length}/${Object.keys(tippingElements).length}`, scorecard.tipped.length ? '#fca5a5' : '#86efac')}
+        {stat('peak warming', `${scorecard.peakWarming.toFixed(2)}°C`, scorecard.peakWarming <= 1.5 ? '#86efac' : scorecard.peakWarming <= 2 ? '#fde047' : '#fca5a5')}
+        {stat(`warming in ${year}`, `${scorecard.finalWarming.toFixed(2)}°C`)}
+        {stat('budget spent', `${scorecard.spent.toFixed(1)} / ${scorecard.budget}`)}
+      </div>
+
+      {scorecard.tipped.length > 0 && (
+        <p style={{ color: '#fca5a5', margin: '0 0 8px', fontSize: '12px' }}>
+          Tipped: {scorecard.tipped.map(id => `${tippingElements[id].icon} ${tippingElements[id].name}`).join(', ')}
+          {scorecard.cascades > 0 && ` — ${scorecard.cascades} by cascade`}
+        </p>
+      )}
+      {scorecard.terminations > 0 && (
+        <p style={{ color: '#fdba74', margin: '0 0 8px', fontSize: '12px' }}>
+          Solar geoengineering was cut off {scorecard.terminations === 1 ? 'once' : `${scorecard.terminations} times`}.
+        </p>
+      )}
+
+      <div style={{ display: 'flex', gap: '10px', justifyContent: 'center', marginTop: '12px' }}>
+        <button
+          onClick={onPlayAgain}
+          style={{
+            padding: '12px 28px',
+            background: 'linear-gradient(135deg, #7c3aed 0%, #3b82f6 100%)',
+            border: 'none',
+            borderRadius: '10px',
+            color: 'white',
+            fontSize: '14px',
+            fontWeight: '600',
+            cursor: 'pointer'
+          }}
+        >
+          Play Again
+        </button>
+        <button
+          onClick={onExit}
+          style={{
+            padding: '12px 20px',
+            background: 'rgba(100, 116, 139, 0.2)',
+            border: '1px solid rgba(100, 116, 139, 0.3)',
+            borderRadius: '10px',
+            color: '#94a3b8',
+            fontSize: '14px',
+            fontWeight: '600',
+            cursor: 'pointer'
+          }}
+        >
+          Back to Scenarios
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+import React, { useState } from 'react';
+
+const STORAGE_KEY = 'tipping-cascade-runs';
+// Oldest runs are dropped beyond this, to stay well inside the localStorage quota
+export const MAX_SAVED_RUNS = 50;
+
+const smallButton = {
+  padding: '4px 10px',
+  background: 'rgba(100, 116, 139, 0.2)',
+  border: '1px solid rgba(100, 116, 139, 0.3)',
+  borderRadius: '6px',
+  color: '#cbd5e1',
+  fontSize: '11px',
+  cursor: 'pointer'
+};
+
+export function loadSavedRuns() {
+  try {
+    const runs = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+    return Array.isArray(runs) ? runs : [];
+  } catch {
+    return [];
+  }
+}
+
+export function storeSavedRuns(runs) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(runs));
+  } catch {
+    // Private browsing or a full quota: the history then only lasts for the session
+  }
+}
+
+// First tipping of an element in a run, with its position in the tipping order
+function tipOf(run, id) {
+  const tips = run.cascadeLog.filter(event => event.type === 'tipped');
+  const order = [...new Set(tips.map(event => event.id))];
+  const event = tips.find(e => e.id === id);
+  const recovery = run.cascadeLog.find(e => e.type === 'recovered' && e.id === id);
+  return event ? { ...event, rank: order.indexOf(id) + 1, recoveredYear: recovery?.year } : null;
+}
+
+function RunComparison({ runs }) {
+  const ids = [...new Set(runs.flatMap(run => Object.keys(run.elements)))];
+  const elementInfo = (id) => runs.find(run => run.elements[id]).elements[id];
+  const cell = { padding: '4px 6px', verticalAlign: 'top' };
+
+  return (
+    <div style={{ overflowX: 'auto', marginTop: '12px' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+        <thead>
+          <tr style={{ color: '#cbd5e1', textAlign: 'left' }}>
+            <th style={cell} />
+            {runs.map(run => <th key={run.id} style={cell}>{run.name}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          <tr style={{ color: '#64748b' }}>
+            <td style={cell}>Scenario</td>
+            {runs.map(run => <td key={run.id} style={cell}>{run.scenario.icon} {run.scenario.name} • seed {run.seed}</td>)}
+          </tr>
+          <tr style={{ color: '#64748b' }}>
+            <td style={cell}>Outcome</td>
+            {runs.map(run => (
+              <td key={run.id} style={cell}>
+                {run.tippedCount}/{Object.keys(run.elements).length} tipped by {run.finalYear}{run.finished ? '' : ' (stopped early)'}
+              </td>
+            ))}
+          </tr>
+          <tr style={{ color: '#64748b' }}>
+            <td style={cell}>Order</td>
+            {runs.map(run => {
+              const order = [...new Set(run.cascadeLog.filter(e => e.type === 'tipped').map(e => e.id))];
+              return (
+                <td key={run.id} style={cell}>
+                  {order.length > 0 ? order.map(id => run.elements[id].icon).join(' → ') : 'nothing tipped'}
+                </td>
+              );
+            })}
+          </tr>
+          {runs.some(run => Object.keys(run.unclearSigns ?? {}).length > 0) && (
+            <tr style={{ color: '#64748b' }}>
+              <td style={cell}>Unclear links</td>
+              {runs.map(run => (
+                <td key={run.id} style={cell}>
+                  {Object.entries(run.unclearSigns ?? {}).map(([link, sign]) => (
+                    <div key={link} style={{ color: sign === 'destabilizing' ? '#fca5a5' : '#86efac' }}>
+                      {link.split('>').map(id => run.elements[id].icon).join(' → ')} {sign}
+                    </div>
+                  ))}
+                  {Object.keys(run.unclearSigns ?? {}).length === 0 && 'fixed'}
+                </td>
+              ))}
+            </tr>
+          )}
+          {ids.map(id => {
+            const info = elementInfo(id);
+            return (
+              <tr key={id} style={{ borderTop: '1px solid rgba(255,255,255,0.06)' }}>
+                <td style={{ ...cell, color: info.color, whiteSpace: 'nowrap' }}>{info.icon} {info.name}</td>
+                {runs.map(run => {
+                  if (!run.elements[id]) return <td key={run.id} style={{ ...cell, color: '#475569' }}>not simulated</td>;
+                  const tip = tipOf(run, id);
+                  return (
+                    <td key={run.id} style={cell}>
+                      {tip ? (
+                        <span style={{ color: tip.isCascade ? '#fca5a5' : '#fde047' }}>
+                          #{tip.rank} in {tip.year} @ {tip.temp}°C
+                          {tip.triggeredBy?.length > 0 && ` ← ${tip.triggeredBy.map(from => run.elements[from]?.icon ?? from).join(' ')}`}
+                          {tip.recoveredYear && <span style={{ color: '#86efac' }}> • recovered {tip.recoveredYear}</span>}
+                        </span>
+                      ) : (
+                        <span style={{ color: '#86efac' }}>did not tip</span>
+                      )}
+                      <div style={{ color: '#475569', fontSize: '10px' }}>threshold {run.elements[id].threshold.toFixed(2)}°C</div>
+                    </td>
+                  );
+                })}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Browses the runs saved in this browser; ticking two or more shows them side by side
+export default function RunHistoryPanel({ runs, onRename, onDelete }) {
+  const [open, setOpen] = useState(false);
+  const [compareIds, setCompareIds] = useState([]);
+  const compared = runs.filter(run => compareIds.includes(run.id));
+
+  const toggleCompare = (id) => {
+    setCompareIds(compareIds.includes(id) ? compareIds.filter(other => other !== id) : [...compareIds, id]);
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(30, 41, 59, 0.5)',
+      borderRadius: '16px',
+      padding: '12px 16px',
+      marginBottom: '16px'
+    }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{
+          width: '100%',
+          padding: 0,
+          background: 'none',
+          border: 'none',
+          color: '#cbd5e1',
+          fontSize: '13px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}
+      >
+        <span>🗂️ Saved runs ({runs.length})</span>
+        <span style={{ transform: open ? 'rotate(180deg)' : 'rotate(0deg)', transition: 'transform 0.2s' }}>▼</span>
+      </button>
+
+      {open && (
+        <div style={{ marginTop: '12px', fontSize: '12px', color: '#94a3b8' }}>
+          <p style={{ margin: '0 0 10px', lineHeight: 1.6 }}>
+            Every run is saved in this browser when it ends or when you start another one. Tick two or more to
+            compare them side by side.
+          </p>
+
+          {runs.length === 0 && <p style={{ margin: 0, color: '#64748b' }}>No saved runs yet.</p>}
+
+          <div style={{ maxHeight: '220px', overflowY: 'auto' }}>
+            {runs.map(run => (
+              <div key={run.id} style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '6px 0',
+                borderTop: '1px solid rgba(255,255,255,0.06)'
+              }}>
+                <input type="checkbox" checked={compareIds.includes(run.id)} onChange={() => toggleCompare(run.id)} />
+                <input
+                  value={run.name}
+                  onChange={e => onRename(run.id, e.target.value)}
+                  style={{
+                    flex: 1,
+                    minWidth: 0,
+                    padding: '4px 6px',
+                    background: 'rgba(15, 23, 42, 0.8)',
+                    border: '1px solid rgba(100, 116, 139, 0.3)',
+                    borderRadius: '6px',
+                    color: 'white',
+                    fontSize: '12px'
+                  }}
+                />
+                <span style={{ fontSize: '11px', whiteSpace: 'nowrap' }}>
+                  {run.scenario.icon} {run.tippedCount}/{Object.keys(run.elements).length} by {run.finalYear}
+                </span>
+                <button
+                  onClick={() => {
+                    setCompareIds(compareIds.filter(other => other !== run.id));
+                    onDelete(run.id);
+                  }}
+                  title="Delete this run"
+                  style={{ ...smallButton, color: '#fca5a5' }}
+                >
+                  🗑
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {compared.length === 1 && <p style={{ margin: '10px 0 0' }}>Tick at least one more run to compare.</p>}
+          {compared.length >= 2 && <RunComparison runs={compared} />}
+        </div>
+      )}
+    </div>
+  );
+}
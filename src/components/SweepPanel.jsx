@@ -0,0 +1,392 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { SCENARIOS, TIPPING_ELEMENTS } from '../simulation/data.js';
+import { ENSEMBLE_HORIZONS } from '../simulation/ensemble.js';
+import { SWEEP_PARAMETERS, SWEEP_METRICS, sweepCells, metricValue } from '../simulation/sweep.js';
+import { startJob } from '../simulation/workerClient.js';
+import { randomSeed, normalizeSeed } from '../simulation/random.js';
+
+const RESOLUTIONS = [5, 8, 10, 15, 20];
+const RUNS_PER_CELL = [20, 50, 100, 200];
+
+const MAP_WIDTH = 420;
+const MAP_HEIGHT = 300;
+const PAD = { left: 44, right: 8, top: 8, bottom: 34 };
+
+const pct = (p) => `${(p * 100).toFixed(0)}%`;
+
+// Green (no risk) through yellow to red (certain); `t` is 0–1
+const riskColor = (t) => `hsl(${Math.round(130 * (1 - Math.min(1, Math.max(0, t))))}, 70%, 45%)`;
+
+const formatValue = (parameter, value) => {
+  const { digits, unit } = SWEEP_PARAMETERS[parameter];
+  return `${value.toFixed(digits)}${unit ? ` ${unit}` : ''}`;
+};
+
+const axisLabel = (parameter) => {
+  const { label, unit } = SWEEP_PARAMETERS[parameter];
+  return unit ? `${label} (${unit})` : label;
+};
+
+function Heatmap({ sweep, metric, elementId, hovered, onHover }) {
+  const { x, y, cells, elementCount } = sweep;
+  const cellWidth = (MAP_WIDTH - PAD.left - PAD.right) / x.steps;
+  const cellHeight = (MAP_HEIGHT - PAD.top - PAD.bottom) / y.steps;
+  // Expected counts are scaled by the number of elements so every metric spans 0–1
+  const scale = metric === 'expectedTipped' ? elementCount : 1;
+  const left = (col) => PAD.left + col * cellWidth;
+  // Row 0 holds the lowest y value, drawn at the bottom
+  const top = (row) => MAP_HEIGHT - PAD.bottom - (row + 1) * cellHeight;
+
+  return (
+    <svg
+      viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+      style={{ width: '100%', maxWidth: `${MAP_WIDTH}px`, height: 'auto', display: 'block' }}
+      onMouseLeave={() => onHover(null)}
+    >
+      {cells.map(cell => {
+        const value = cell.runs ? metricValue(cell, metric, elementId) : null;
+        const isHovered = hovered && hovered.col === cell.col && hovered.row === cell.row;
+        return (
+          <rect
+            key={`${cell.col}-${cell.row}`}
+            x={left(cell.col)}
+            y={top(cell.row)}
+            width={cellWidth}
+            height={cellHeight}
+            fill={value === null ? 'rgba(255,255,255,0.04)' : riskColor(value / scale)}
+            stroke={isHovered ? 'white' : 'rgba(15, 23, 42, 0.6)'}
+            strokeWidth={isHovered ? 2 : 0.5}
+            onMouseEnter={() => onHover(cell)}
+          />
+        );
+      })}
+      <text x={PAD.left} y={MAP_HEIGHT - PAD.bottom + 12} fontSize="9" fill="#64748b">
+        {x.min.toFixed(SWEEP_PARAMETERS[x.parameter].digits)}
+      </text>
+      <text x={MAP_WIDTH - PAD.right} y={MAP_HEIGHT - PAD.bottom + 12} textAnchor="end" fontSize="9" fill="#64748b">
+        {x.max.toFixed(SWEEP_PARAMETERS[x.parameter].digits)}
+      </text>
+      <text x={(PAD.left + MAP_WIDTH - PAD.right) / 2} y={MAP_HEIGHT - 6} textAnchor="middle" fontSize="10" fill="#94a3b8">
+        {axisLabel(x.parameter)}
+      </text>
+      <text x={PAD.left - 4} y={MAP_HEIGHT - PAD.bottom} textAnchor="end" fontSize="9" fill="#64748b">
+        {y.min.toFixed(SWEEP_PARAMETERS[y.parameter].digits)}
+      </text>
+      <text x={PAD.left - 4} y={PAD.top + 8} textAnchor="end" fontSize="9" fill="#64748b">
+        {y.max.toFixed(SWEEP_PARAMETERS[y.parameter].digits)}
+      </text>
+      <text
+        x={12}
+        y={(PAD.top + MAP_HEIGHT - PAD.bottom) / 2}
+        textAnchor="middle"
+        fontSize="10"
+        fill="#94a3b8"
+        transform={`rotate(-90 12 ${(PAD.top + MAP_HEIGHT - PAD.bottom) / 2})`}
+      >
+        {axisLabel(y.parameter)}
+      </text>
+    </svg>
+  );
+}
+
+function CellStats({ sweep, cell }) {
+  if (!cell) return <div style={{ color: '#475569' }}>Hover over a cell to see its statistics.</div>;
+  if (!cell.runs) return <div style={{ color: '#475569' }}>Not run yet.</div>;
+  return (
+    <div style={{ lineHeight: 1.7 }}>
+      <div style={{ color: '#cbd5e1' }}>
+        {SWEEP_PARAMETERS[sweep.x.parameter].label} <strong>{formatValue(sweep.x.parameter, cell.x)}</strong>
+        <br />
+        {SWEEP_PARAMETERS[sweep.y.parameter].label} <strong>{formatValue(sweep.y.parameter, cell.y)}</strong>
+      </div>
+      <div>{cell.runs} runs</div>
+      <div>P(≥1 tipped): <span style={{ color: '#cbd5e1' }}>{pct(cell.anyTipped)}</span></div>
+      <div>Expected tipped: <span style={{ color: '#cbd5e1' }}>{cell.expectedTipped.toFixed(2)} / {sweep.elementCount}</span></div>
+      {Object.entries(cell.probabilityTipped).map(([id, p]) => (
+        <div key={id}>
+          <span style={{ color: sweep.tippingElements[id].color }}>{sweep.tippingElements[id].icon} {sweep.tippingElements[id].name}</span>
+          {' '}<span style={{ color: '#cbd5e1' }}>{pct(p)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Cascade-risk maps: an ensemble in every cell of a grid over two parameters
+export default function SweepPanel({ tippingElements = TIPPING_ELEMENTS, scenarios = SCENARIOS, simConfig = {} }) {
+  const [open, setOpen] = useState(false);
+  const [scenarioId, setScenarioId] = useState(scenarios[0].id);
+  const [axes, setAxes] = useState(() => ({
+    x: { parameter: 'peakWarming', min: SWEEP_PARAMETERS.peakWarming.range[0], max: SWEEP_PARAMETERS.peakWarming.range[1] },
+    y: { parameter: 'interactionStrength', min: SWEEP_PARAMETERS.interactionStrength.range[0], max: SWEEP_PARAMETERS.interactionStrength.range[1] }
+  }));
+  const [resolution, setResolution] = useState(10);
+  const [runs, setRuns] = useState(50);
+  const [seedInput, setSeedInput] = useState(() => String(randomSeed()));
+  const [metric, setMetric] = useState('anyTipped');
+  const [elementId, setElementId] = useState(Object.keys(tippingElements)[0]);
+  const [progress, setProgress] = useState(null);
+  const [paused, setPaused] = useState(false);
+  const [error, setError] = useState(null);
+  const [sweep, setSweep] = useState(null);
+  const [hovered, setHovered] = useState(null);
+  const jobRef = useRef(null);
+
+  useEffect(() => () => jobRef.current?.cancel(), []);
+
+  const setAxis = (axis, changes) => setAxes({ ...axes, [axis]: { ...axes[axis], ...changes } });
+
+  const setAxisParameter = (axis, parameter) => {
+    const [min, max] = SWEEP_PARAMETERS[parameter].range;
+    setAxis(axis, { parameter, min, max });
+  };
+
+  const axisErrors = ['x', 'y'].flatMap(axis => {
+    const { parameter, min, max } = axes[axis];
+    const { label, limits } = SWEEP_PARAMETERS[parameter];
+    if (!(min < max)) return [`${label}: the minimum must be below the maximum`];
+    if (min < limits[0] || max > limits[1]) return [`${label}: must stay within ${limits[0]}–${limits[1]}`];
+    return [];
+  });
+  if (axes.x.parameter === axes.y.parameter) axisErrors.push('Pick two different parameters');
+
+  const startSweep = () => {
+    jobRef.current?.cancel();
+    const scenario = scenarios.find(s => s.id === scenarioId) ?? scenarios[0];
+    const config = { ...simConfig, tippingElements, scenario, seed: normalizeSeed(seedInput) };
+    const x = { ...axes.x, steps: resolution };
+    const y = { ...axes.y, steps: resolution };
+    const cells = sweepCells(x, y).map(cell => ({ ...cell, runs: 0 }));
+    setSweep({ x, y, cells, scenario, tippingElements, elementCount: Object.keys(tippingElements).length, runs, seed: config.seed });
+    setHovered(null);
+    setError(null);
+    setPaused(false);
+    setProgress(0);
+
+    // Like the ensemble, the sweep runs in the simulation worker; finished
+    // cells stream back and appear on the map as they complete
+    jobRef.current = startJob('sweep', { config, x, y, runs }, {
+      onBatch: (items, done, total) => {
+        items.forEach(cell => { cells[cell.row * x.steps + cell.col] = cell; });
+        if (items.length > 0) setSweep(current => ({ ...current, cells: [...cells] }));
+        setProgress(done / total);
+      },
+      onDone: () => {
+        jobRef.current = null;
+        setProgress(null);
+      },
+      onError: (err) => {
+        jobRef.current = null;
+        setProgress(null);
+        setError(err.message);
+      }
+    });
+  };
+
+  const cancelSweep = () => {
+    jobRef.current?.cancel();
+    jobRef.current = null;
+    setProgress(null);
+  };
+
+  const togglePause = () => {
+    if (paused) jobRef.current?.resume();
+    else jobRef.current?.pause();
+    setPaused(!paused);
+  };
+
+  const isBusy = progress !== null;
+  const hoveredCell = hovered && sweep?.cells.find(cell => cell.col === hovered.col && cell.row === hovered.row);
+  const metricElement = sweep?.tippingElements[elementId] ? elementId : Object.keys(sweep?.tippingElements ?? tippingElements)[0];
+
+  const inputStyle = {
+    padding: '6px 8px',
+    background: 'rgba(15, 23, 42, 0.8)',
+    border: '1px solid rgba(100, 116, 139, 0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    fontSize: '12px'
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(30, 41, 59, 0.5)',
+      borderRadius: '16px',
+      padding: '12px 16px',
+      marginBottom: '16px'
+    }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{
+          width: '100%',
+          padding: 0,
+          background: 'none',
+          border: 'none',
+          color: '#cbd5e1',
+          fontSize: '13px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}
+      >
+        <span>🗺️ Parameter sweep — cascade-risk map</span>
+        <span style={{ transform: open ? 'rotate(180deg)' : 'rotate(0deg)', transition: 'transform 0.2s' }}>▼</span>
+      </button>
+
+      {open && (
+        <div style={{ marginTop: '12px', fontSize: '12px', color: '#94a3b8' }}>
+          <p style={{ margin: '0 0 10px', lineHeight: 1.6 }}>
+            Runs an ensemble in every cell of a grid over two parameters and maps the risk of tipping by{' '}
+            {ENSEMBLE_HORIZONS[ENSEMBLE_HORIZONS.length - 1]}, like the risk maps of Wunderling et al. Peak warming and
+            years to peak reshape the chosen scenario; every cell reuses the same seeds, so neighbouring cells differ
+            only in the swept parameters.
+          </p>
+
+          {['x', 'y'].map(axis => (
+            <div key={axis} style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '8px' }}>
+              <span style={{ width: '48px' }}>{axis === 'x' ? 'X axis' : 'Y axis'}</span>
+              <select value={axes[axis].parameter} onChange={e => setAxisParameter(axis, e.target.value)} disabled={isBusy} style={inputStyle}>
+                {Object.entries(SWEEP_PARAMETERS).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+              </select>
+              <input
+                type="number"
+                value={axes[axis].min}
+                step="any"
+                onChange={e => setAxis(axis, { min: Number(e.target.value) })}
+                disabled={isBusy}
+                style={{ ...inputStyle, width: '70px' }}
+              />
+              to
+              <input
+                type="number"
+                value={axes[axis].max}
+                step="any"
+                onChange={e => setAxis(axis, { max: Number(e.target.value) })}
+                disabled={isBusy}
+                style={{ ...inputStyle, width: '70px' }}
+              />
+              <span>{SWEEP_PARAMETERS[axes[axis].parameter].unit}</span>
+            </div>
+          ))}
+
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '10px' }}>
+            <select value={scenarioId} onChange={e => setScenarioId(e.target.value)} disabled={isBusy} style={inputStyle}>
+              {scenarios.map(s => <option key={s.id} value={s.id}>{s.icon} {s.name}</option>)}
+            </select>
+            <select value={resolution} onChange={e => setResolution(Number(e.target.value))} disabled={isBusy} style={inputStyle}>
+              {RESOLUTIONS.map(n => <option key={n} value={n}>{n}×{n} grid</option>)}
+            </select>
+            <select value={runs} onChange={e => setRuns(Number(e.target.value))} disabled={isBusy} style={inputStyle}>
+              {RUNS_PER_CELL.map(n => <option key={n} value={n}>{n} runs per cell</option>)}
+            </select>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              Seed
+              <input
+                value={seedInput}
+                onChange={e => setSeedInput(e.target.value)}
+                disabled={isBusy}
+                spellCheck={false}
+                style={{ ...inputStyle, width: '110px', fontFamily: 'monospace' }}
+              />
+            </label>
+            <button
+              onClick={isBusy ? cancelSweep : startSweep}
+              disabled={!isBusy && axisErrors.length > 0}
+              style={{
+                padding: '7px 16px',
+                background: isBusy ? 'rgba(239, 68, 68, 0.2)' : 'rgba(34, 197, 94, 0.2)',
+                border: `1px solid ${isBusy ? '#ef4444' : '#22c55e'}50`,
+                borderRadius: '8px',
+                color: isBusy ? '#fca5a5' : '#86efac',
+                fontSize: '12px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                opacity: !isBusy && axisErrors.length > 0 ? 0.4 : 1
+              }}
+            >
+              {isBusy ? '✕ Cancel' : '▶ Run sweep'}
+            </button>
+            {isBusy && (
+              <button
+                onClick={togglePause}
+                style={{
+                  padding: '7px 16px',
+                  background: 'rgba(100, 116, 139, 0.2)',
+                  border: '1px solid rgba(100, 116, 139, 0.3)',
+                  borderRadius: '8px',
+                  color: '#cbd5e1',
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                {paused ? '▶ Resume' : '⏸ Pause'}
+              </button>
+            )}
+          </div>
+
+          {error && <div style={{ color: '#fca5a5', marginBottom: '6px' }}>The sweep failed: {error}</div>}
+
+          {axisErrors.map(error => <div key={error} style={{ color: '#fca5a5', marginBottom: '6px' }}>{error}</div>)}
+          {!isBusy && axisErrors.length === 0 && (
+            <div style={{ color: '#475569', marginBottom: '10px' }}>
+              {(resolution * resolution * runs).toLocaleString()} realisations in total
+            </div>
+          )}
+
+          {isBusy && (
+            <div style={{ height: '6px', borderRadius: '3px', background: 'rgba(255,255,255,0.1)', marginBottom: '10px' }}>
+              <div style={{
+                width: `${progress * 100}%`,
+                height: '100%',
+                borderRadius: '3px',
+                background: paused ? '#64748b' : '#60a5fa',
+                transition: 'width 0.2s'
+              }} />
+            </div>
+          )}
+
+          {sweep && (
+            <div>
+              <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '8px' }}>
+                <span>Show</span>
+                <select value={metric} onChange={e => setMetric(e.target.value)} style={inputStyle}>
+                  {SWEEP_METRICS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                </select>
+                {metric === 'element' && (
+                  <select value={metricElement} onChange={e => setElementId(e.target.value)} style={inputStyle}>
+                    {Object.entries(sweep.tippingElements).map(([id, el]) => <option key={id} value={id}>{el.icon} {el.name}</option>)}
+                  </select>
+                )}
+                <span style={{ color: '#64748b' }}>
+                  "{sweep.scenario.name}" • {sweep.runs} runs per cell • seed {sweep.seed}
+                </span>
+              </div>
+
+              <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+                <div style={{ flex: '1 1 300px', maxWidth: `${MAP_WIDTH}px` }}>
+                  <Heatmap sweep={sweep} metric={metric} elementId={metricElement} hovered={hovered} onHover={setHovered} />
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '4px', fontSize: '10px' }}>
+                    <span>{metric === 'expectedTipped' ? '0' : '0%'}</span>
+                    <div style={{
+                      flex: 1,
+                      height: '8px',
+                      borderRadius: '4px',
+                      background: `linear-gradient(90deg, ${riskColor(0)}, ${riskColor(0.5)}, ${riskColor(1)})`
+                    }} />
+                    <span>{metric === 'expectedTipped' ? sweep.elementCount : '100%'}</span>
+                  </div>
+                </div>
+                <div style={{ flex: '1 1 160px', fontSize: '11px' }}>
+                  <CellStats sweep={sweep} cell={hoveredCell} />
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
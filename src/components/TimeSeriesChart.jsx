@@ -0,0 +1,84 @@
+import React from 'react';
+import { START_YEAR } from '../simulation/engine.js';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PAD = { left: 36, right: 36, top: 10, bottom: 22 };
+const TEMP_COLOR = '#f97316';
+
+const plotWidth = WIDTH - PAD.left - PAD.right;
+const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+
+function yearTicks(from, to) {
+  const span = to - from;
+  const stepSize = span > 400 ? 100 : span > 200 ? 50 : span > 80 ? 25 : 10;
+  const ticks = [];
+  for (let y = Math.ceil(from / stepSize) * stepSize; y <= to; y += stepSize) ticks.push(y);
+  return ticks;
+}
+
+// Temperature (right axis) and the stress of every element (left axis, 0–100%)
+// on a shared year axis, with a vertical marker wherever an element tipped or recovered.
+// `history` is the engine's year-by-year trajectory (see historyRow in engine.js).
+export default function TimeSeriesChart({ history, cascadeLog, tippingElements, endYear }) {
+  const ids = Object.keys(tippingElements);
+  const maxTemp = Math.max(4, Math.ceil(Math.max(...history.map(row => row.temperature))));
+  const x = (year) => PAD.left + ((year - START_YEAR) / (endYear - START_YEAR)) * plotWidth;
+  const yStress = (stress) => PAD.top + (1 - stress / 100) * plotHeight;
+  const yTemp = (temp) => PAD.top + (1 - temp / maxTemp) * plotHeight;
+  const line = (value) => history.map((row, i) => `${i === 0 ? 'M' : 'L'}${x(row.year).toFixed(1)},${value(row).toFixed(1)}`).join(' ');
+
+  return (
+    <div style={{
+      background: 'rgba(30, 41, 59, 0.5)',
+      borderRadius: '16px',
+      padding: '12px 16px',
+      marginBottom: '16px'
+    }}>
+      <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '6px' }}>📈 Temperature and stress over time</div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto', display: 'block' }}>
+        {[0, 25, 50, 75, 100].map(stress => (
+          <g key={stress}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={yStress(stress)} y2={yStress(stress)} stroke="rgba(255,255,255,0.06)" />
+            <text x={PAD.left - 4} y={yStress(stress) + 3} textAnchor="end" fontSize="9" fill="#64748b">{stress}%</text>
+          </g>
+        ))}
+        {Array.from({ length: maxTemp + 1 }, (_, temp) => (
+          <text key={temp} x={WIDTH - PAD.right + 4} y={yTemp(temp) + 3} fontSize="9" fill={TEMP_COLOR}>{temp}°C</text>
+        ))}
+        {yearTicks(START_YEAR, endYear).map(year => (
+          <text key={year} x={x(year)} y={HEIGHT - 6} textAnchor="middle" fontSize="9" fill="#64748b">{year}</text>
+        ))}
+
+        {cascadeLog.filter(event => event.id in tippingElements).map((event, i) => (
+          <line
+            key={i}
+            x1={x(event.year)}
+            x2={x(event.year)}
+            y1={PAD.top}
+            y2={PAD.top + plotHeight}
+            stroke={tippingElements[event.id].color}
+            strokeWidth="1"
+            strokeDasharray={event.type === 'recovered' ? '3 3' : undefined}
+            opacity="0.8"
+          >
+            <title>{`${event.year}: ${event.element} ${event.type === 'recovered' ? 'recovered' : 'tipped'} at ${event.temp}°C`}</title>
+          </line>
+        ))}
+
+        {ids.map(id => (
+          <path key={id} d={line(row => yStress(row.stress[id]))} fill="none" stroke={tippingElements[id].color} strokeWidth="1.5" />
+        ))}
+        <path d={line(row => yTemp(row.temperature))} fill="none" stroke={TEMP_COLOR} strokeWidth="2" strokeDasharray="6 3" />
+      </svg>
+
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', fontSize: '10px', color: '#94a3b8', marginTop: '6px' }}>
+        <span style={{ color: TEMP_COLOR }}>╌ Temperature</span>
+        {ids.map(id => (
+          <span key={id} style={{ color: tippingElements[id].color }}>— {tippingElements[id].name} stress</span>
+        ))}
+        <span>│ tipped &nbsp;┆ recovered</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+import { MAP_WIDTH, MAP_HEIGHT, project, outlinePath, polylinePath } from './geo.js';
+import { LAND, LAKES } from './worldLand.js';
+
+const OCEAN = '#0f2236';
+const LAND_FILL = '#2a3749';
+const COAST = '#3e4c61';
+
+const ringPath = (ring) => polylinePath(ring.map(([lon, lat]) => project({ lat, lon }))) + ' Z';
+
+// Every 30° of longitude and latitude
+const GRATICULE = [
+  ...Array.from({ length: 13 }, (_, i) => Array.from({ length: 37 }, (__, j) => ({ lon: -180 + i * 30, lat: -90 + j * 5 }))),
+  ...[-60, -30, 0, 30, 60].map(lat => Array.from({ length: 73 }, (_, j) => ({ lon: -180 + j * 5, lat })))
+].map(line => polylinePath(line.map(project)));
+
+// Computed once: the land never changes
+const LAND_PATH = LAND.map(ringPath).join(' ');
+const LAKES_PATH = LAKES.map(ringPath).join(' ');
+const OUTLINE_PATH = outlinePath();
+
+// Background of the map view: ocean, graticule and land in a Robinson
+// projection, drawn from bundled coastlines
+export default function WorldMap() {
+  return (
+    <svg
+      viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+      style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }}
+    >
+      <path d={OUTLINE_PATH} fill={OCEAN} stroke={COAST} strokeWidth={0.4} />
+      {GRATICULE.map((d, i) => (
+        <path key={i} d={d} fill="none" stroke="rgba(148, 163, 184, 0.08)" strokeWidth={0.3} />
+      ))}
+      <path d={LAND_PATH} fill={LAND_FILL} stroke={COAST} strokeWidth={0.3} strokeLinejoin="round" />
+      <path d={LAKES_PATH} fill={OCEAN} stroke={COAST} strokeWidth={0.3} />
+    </svg>
+  );
+}
@@ -0,0 +1,106 @@
+// Robinson projection and great-circle arcs for the map view. Projected
+// coordinates are map units: x from 0 to MAP_WIDTH (west to east), y from 0 to
+// MAP_HEIGHT (north to south).
+
+// Robinson's table: parallel length and distance from the equator every 5° of latitude
+const ROBINSON_X = [1, 0.9986, 0.9954, 0.99, 0.9822, 0.973, 0.96, 0.9427, 0.9216, 0.8962, 0.8679, 0.835, 0.7986,
+  0.7597, 0.7186, 0.6732, 0.6213, 0.5722, 0.5322];
+const ROBINSON_Y = [0, 0.062, 0.124, 0.186, 0.248, 0.31, 0.372, 0.434, 0.4958, 0.5571, 0.6176, 0.6769, 0.7346,
+  0.7903, 0.8435, 0.8936, 0.9394, 0.9761, 1];
+
+export const MAP_WIDTH = 300;
+const SCALE = MAP_WIDTH / (2 * Math.PI * 0.8487);
+export const MAP_HEIGHT = 2 * 1.3523 * SCALE;
+
+function robinsonTable(table, lat) {
+  const pos = Math.min(Math.abs(lat), 90) / 5;
+  const i = Math.min(Math.floor(pos), table.length - 2);
+  return table[i] + (table[i + 1] - table[i]) * (pos - i);
+}
+
+export function project({ lat, lon }) {
+  return {
+    x: MAP_WIDTH / 2 + 0.8487 * SCALE * robinsonTable(ROBINSON_X, lat) * (lon * Math.PI / 180),
+    y: MAP_HEIGHT / 2 - Math.sign(lat) * 1.3523 * SCALE * robinsonTable(ROBINSON_Y, lat)
+  };
+}
+
+// The map's outline: the ±180° meridians joined by the flat poles
+export function outlinePath() {
+  const lats = Array.from({ length: 37 }, (_, i) => 90 - i * 5);
+  const east = lats.map(lat => project({ lat, lon: 180 }));
+  const west = [...lats].reverse().map(lat => project({ lat, lon: -180 }));
+  return polylinePath([...east, ...west]) + ' Z';
+}
+
+export const polylinePath = (points) => points
+  .map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x.toFixed(2)} ${p.y.toFixed(2)}`)
+  .join(' ');
+
+const toVector = ({ lat, lon }) => {
+  const phi = lat * Math.PI / 180;
+  const lambda = lon * Math.PI / 180;
+  return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+};
+
+const toLocation = ([x, y, z]) => ({
+  lat: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI,
+  lon: Math.atan2(y, x) * 180 / Math.PI
+});
+
+// Points along the shorter great circle from `from` to `to`, both { lat, lon }
+export function greatCircle(from, to, steps = 48) {
+  const a = toVector(from);
+  const b = toVector(to);
+  const angle = Math.acos(Math.max(-1, Math.min(1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2])));
+  if (angle < 1e-9) return [from, to];
+  return Array.from({ length: steps + 1 }, (_, i) => {
+    const t = i / steps;
+    const wa = Math.sin((1 - t) * angle) / Math.sin(angle);
+    const wb = Math.sin(t * angle) / Math.sin(angle);
+    return toLocation([0, 1, 2].map(k => wa * a[k] + wb * b[k]));
+  });
+}
+
+// Cuts `trim` map units off each end of a polyline, so an arc stops short of the nodes it joins
+function trimEnds(points, trim) {
+  const cut = (pts) => {
+    let left = trim;
+    for (let i = 1; i < pts.length; i++) {
+      const len = Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y);
+      if (len >= left) {
+        const t = left / len;
+        const start = { x: pts[i - 1].x + (pts[i].x - pts[i - 1].x) * t, y: pts[i - 1].y + (pts[i].y - pts[i - 1].y) * t };
+        return [start, ...pts.slice(i)];
+      }
+      left -= len;
+    }
+    return pts.slice(-1);
+  };
+  return cut(cut(points).reverse()).reverse();
+}
+
+// SVG path of the great-circle arc from one location to another, in map units.
+// The arc is split where it crosses the ±180° meridian, and `bend` pushes its
+// middle sideways (to its left) so that links both ways between two elements
+// don't coincide.
+export function arcPath(from, to, { bend = 0, trim = 0 } = {}) {
+  const points = greatCircle(from, to).map(project);
+  const first = points[0];
+  const last = points[points.length - 1];
+  const len = Math.hypot(last.x - first.x, last.y - first.y) || 1;
+  const normal = { x: (last.y - first.y) / len, y: -(last.x - first.x) / len };
+  const bent = points.map((p, i) => {
+    const offset = bend * Math.sin((Math.PI * i) / (points.length - 1));
+    return { x: p.x + normal.x * offset, y: p.y + normal.y * offset };
+  });
+
+  const trimmed = trimEnds(bent, trim);
+  const pieces = [[trimmed[0]]];
+  for (let i = 1; i < trimmed.length; i++) {
+    // A jump of more than half the map is the arc leaving one edge and re-entering at the other
+    if (Math.abs(trimmed[i].x - trimmed[i - 1].x) > MAP_WIDTH / 2) pieces.push([]);
+    pieces[pieces.length - 1].push(trimmed[i]);
+  }
+  return pieces.filter(piece => piece.length > 1).map(polylinePath).join(' ');
+}
@@ -0,0 +1,141 @@
+// Automatic layout for the network diagram. Positions are { x, y } in percent
+// of the diagram, like an element's hand-placed `position`. Elements with a
+// fixed position (placed by hand, or pinned by dragging) stay where they are;
+// the rest go round a circle in the order with the fewest crossing links and
+// are then pushed apart from anything they would overlap.
+
+const STORAGE_KEY = 'tipping-cascade-layout';
+const RADIUS = 42;
+// Closest two node centres may be, in percent of the diagram's height
+const MIN_GAP = 24;
+const EDGE = 8;
+
+export function loadPinnedPositions() {
+  try {
+    const pins = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '{}');
+    return pins && typeof pins === 'object' && !Array.isArray(pins) ? pins : {};
+  } catch {
+    return {};
+  }
+}
+
+export function storePinnedPositions(pins) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(pins));
+  } catch {
+    // Private browsing or a full quota: pins then only last for the session
+  }
+}
+
+// Links drawn as chords of the circle cross when their ends alternate round it.
+// `angle` gives each element's angle round the centre of the diagram.
+function crossings(angle, pairs) {
+  let count = 0;
+  for (let i = 0; i < pairs.length; i++) {
+    for (let j = i + 1; j < pairs.length; j++) {
+      if (new Set([...pairs[i], ...pairs[j]]).size < 4) continue;
+      const [a, b] = pairs[i].map(id => angle[id]).sort((p, q) => p - q);
+      const [c, d] = pairs[j].map(id => angle[id]);
+      if ((a < c && c < b) !== (a < d && d < b)) count += 1;
+    }
+  }
+  return count;
+}
+
+const angleOf = ({ x, y }) => (Math.atan2(y - 50, x - 50) + 2 * Math.PI) % (2 * Math.PI);
+
+// Angle round the circle of every element. The circle has a slot per element;
+// fixed elements count as taking the slot nearest to them, and the free ones
+// share out the rest, swapped in pairs while that removes crossings. Starts
+// from the given order, so ties keep it.
+export function circleAngles(ids, links, fixed = {}) {
+  let slots = ids.map((_, i) => (2 * Math.PI * i) / ids.length + (3 * Math.PI) / 2).map(a => a % (2 * Math.PI));
+  const angle = {};
+  ids.filter(id => fixed[id]).forEach(id => {
+    angle[id] = angleOf(fixed[id]);
+    const gap = (slot) => Math.min(Math.abs(slot - angle[id]), 2 * Math.PI - Math.abs(slot - angle[id]));
+    const nearest = slots.reduce((best, slot) => (gap(slot) < gap(best) ? slot : best));
+    slots = slots.filter(slot => slot !== nearest);
+  });
+  const free = ids.filter(id => !fixed[id]);
+  free.forEach((id, i) => { angle[id] = slots[i]; });
+
+  const pairs = [...new Map(links
+    .filter(link => ids.includes(link.from) && ids.includes(link.to))
+    .map(link => [[link.from, link.to].sort().join('>'), [link.from, link.to]])).values()];
+  let best = crossings(angle, pairs);
+  for (let pass = 0; pass < 20 && best > 0; pass++) {
+    let improved = false;
+    for (let i = 0; i < free.length; i++) {
+      for (let j = i + 1; j < free.length; j++) {
+        const swapped = { ...angle, [free[i]]: angle[free[j]], [free[j]]: angle[free[i]] };
+        const count = crossings(swapped, pairs);
+        if (count < best) {
+          Object.assign(angle, swapped);
+          best = count;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return angle;
+}
+
+// `aspect` is the diagram's width over its height, so that spacing is judged
+// as it will look rather than in stretched percent
+export function autoLayout(ids, links, { fixed = {}, aspect = 1 } = {}) {
+  const angles = circleAngles(ids, links, fixed);
+  const positions = Object.fromEntries(ids.map(id => [
+    id,
+    fixed[id] ?? { x: 50 + RADIUS * Math.cos(angles[id]), y: 50 + RADIUS * Math.sin(angles[id]) }
+  ]));
+
+  const free = new Set(ids.filter(id => !fixed[id]));
+  const clamp = (v) => Math.min(100 - EDGE, Math.max(EDGE, v));
+  for (let round = 0; round < 60; round++) {
+    let moved = false;
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const a = positions[ids[i]];
+        const b = positions[ids[j]];
+        const movable = [free.has(ids[i]), free.has(ids[j])];
+        if (!movable[0] && !movable[1]) continue;
+        const dx = (b.x - a.x) * aspect;
+        const dy = b.y - a.y;
+        const dist = Math.hypot(dx, dy);
+        if (dist >= MIN_GAP) continue;
+        // Coincident nodes are split along a direction that depends on the pair, to stay deterministic
+        const [ux, uy] = dist > 1e-6 ? [dx / dist, dy / dist] : [Math.cos(i + j), Math.sin(i + j)];
+        const push = (MIN_GAP - dist) / (movable[0] && movable[1] ? 2 : 1);
+        if (movable[0]) positions[ids[i]] = { x: clamp(a.x - (ux * push) / aspect), y: clamp(a.y - uy * push) };
+        if (movable[1]) positions[ids[j]] = { x: clamp(b.x + (ux * push) / aspect), y: clamp(b.y + uy * push) };
+        moved = true;
+      }
+    }
+    if (!moved) break;
+  }
+  return positions;
+}
+
+// Sideways offset of each link's curve, in diagram units. A lone link bows by
+// `single`; links between the same two elements (both ways, or repeated) fan
+// out `spacing` apart so that none of them coincide.
+export function linkOffsets(links, { single = 8, spacing = 20 } = {}) {
+  const groups = new Map();
+  links.forEach((link, i) => {
+    const key = [link.from, link.to].sort().join('>');
+    groups.set(key, [...(groups.get(key) ?? []), i]);
+  });
+  const offsets = [];
+  groups.forEach(indices => indices.forEach((i, k) => {
+    if (indices.length === 1) {
+      offsets[i] = single;
+      return;
+    }
+    // Measured for the pair's sorted direction; a link the other way has its sides swapped
+    const offset = (k - (indices.length - 1) / 2) * spacing;
+    offsets[i] = links[i].from < links[i].to ? offset : -offset;
+  }));
+  return offsets;
+}
@@ -0,0 +1,147 @@
+// Coastlines for the map view, simplified by hand to a few hundred points so
+// the map ships with the site and needs no tile server. Each polygon is a
+// ring of [lon, lat] in degrees. Good to a degree or two: enough to place the
+// tipping elements, not for navigation.
+
+export const LAND = [
+  // North America, Panama to Alaska
+  [[-77.4, 8.6], [-79.5, 9.5], [-81.5, 9], [-83.8, 11], [-83.5, 13], [-84, 15.8], [-88.5, 16], [-88, 18], [-87, 21.5],
+    [-90.4, 21], [-91, 18.6], [-94.5, 18.2], [-96, 19], [-97.6, 21.5], [-97.5, 24], [-97.3, 27.6], [-94, 29.6],
+    [-90, 29.2], [-89, 30.2], [-86, 30.3], [-84, 30], [-82.7, 28], [-81.8, 26.5], [-80, 25.5], [-80.5, 28], [-81, 31],
+    [-79, 33], [-76, 35], [-75.5, 38], [-74, 40.5], [-70, 41.6], [-70, 43.5], [-66, 44.5], [-61, 46], [-64.5, 48.5],
+    [-66, 49.5], [-60, 50], [-56, 51.5], [-57, 53], [-62, 57], [-65, 60.3], [-72, 61.5], [-78, 62.5], [-77, 60],
+    [-79, 55], [-80, 51.5], [-82, 55], [-92, 57], [-94, 59], [-87, 64], [-81.5, 66], [-82, 69], [-90, 68.5],
+    [-96, 68], [-108, 68], [-117, 68.9], [-128, 70], [-141, 69.7], [-156.8, 71.3], [-166, 68.9], [-168, 65.7],
+    [-166, 65.3], [-161, 64.4], [-164.5, 63.2], [-165.5, 61.5], [-162, 60], [-158, 58.6], [-164, 54.8], [-158, 56.5],
+    [-154, 57.5], [-151, 59.5], [-146, 60.8], [-140, 59.8], [-137, 58.5], [-133, 57], [-130.5, 54.5], [-127, 50.5],
+    [-123, 49], [-124.7, 48.4], [-124, 46.3], [-124.5, 43], [-124, 40.4], [-122.5, 37.5], [-120.6, 34.5],
+    [-117.2, 32.7], [-116.8, 31.8], [-114.2, 28], [-112, 24.8], [-109.9, 22.9], [-110, 24], [-112.5, 28],
+    [-114.8, 31.7], [-112.5, 29.5], [-108.8, 25.5], [-105.7, 22.5], [-105.5, 20], [-100, 17], [-96.5, 15.7],
+    [-94, 16], [-91.5, 14], [-87.5, 13], [-85.7, 10], [-83, 8.3], [-80.5, 7.5], [-79, 7.5]],
+  // Greenland
+  [[-73, 78.2], [-66, 80.8], [-55, 82.2], [-40, 83.5], [-25, 83.2], [-11.5, 81.5], [-19, 79], [-19, 76], [-22, 72.5],
+    [-22, 70.5], [-26, 68.5], [-32, 68], [-36, 65.9], [-40, 65], [-42.5, 61], [-44, 60], [-47, 60.8], [-50, 62.5],
+    [-52, 65], [-53.5, 67], [-52.5, 69.5], [-55, 71], [-57, 74], [-62, 76], [-68, 76.5]],
+  // Canadian Arctic: Baffin, Ellesmere, Victoria and Banks islands
+  [[-62, 67], [-66, 62.5], [-71, 62.8], [-74, 64.5], [-77.5, 64.3], [-73, 67.5], [-78, 69.8], [-85, 71], [-80, 73.7],
+    [-72, 72.5], [-68, 70.5]],
+  [[-90, 77], [-80, 76.5], [-75, 78.5], [-65, 81], [-62, 82.5], [-75, 83], [-90, 81.5], [-93, 78.5]],
+  [[-125, 71.8], [-117, 73.5], [-106, 73], [-100, 70.7], [-105, 69], [-115, 69], [-119, 71], [-123, 71]],
+  // Caribbean
+  [[-84.8, 21.8], [-82, 23.2], [-80, 23.1], [-77, 21.6], [-74.2, 20.2], [-77.7, 19.8], [-78.5, 21.5], [-81.5, 21.7]],
+  [[-74.4, 19.8], [-72.8, 19.9], [-70, 19.7], [-68.4, 18.6], [-71, 18], [-74.4, 18.4]],
+  // South America
+  [[-77.5, 8.6], [-75.5, 10.5], [-73, 11.3], [-71.5, 12.4], [-68, 10.5], [-64, 10.7], [-61.5, 10.5], [-60, 8.5],
+    [-57, 6], [-52, 5], [-50, 1.8], [-49, 0], [-44.5, -2.5], [-40, -3], [-35.2, -5.5], [-34.8, -7.5], [-35.5, -10],
+    [-38.5, -13], [-39, -17.5], [-40.5, -21.5], [-43, -23], [-48, -25.5], [-48.6, -28.5], [-51, -31], [-53, -34],
+    [-55, -35], [-58, -34.5], [-57, -36.5], [-57.5, -38], [-62, -39], [-62.5, -41], [-65, -41], [-64, -43],
+    [-65.5, -45], [-67.5, -46.5], [-65.8, -48], [-68.5, -50.5], [-68.5, -52.3], [-66.5, -55], [-70, -55.2],
+    [-73, -53.5], [-75.5, -50], [-74.5, -46.5], [-74, -43], [-73.5, -40], [-73.3, -37], [-71.6, -33], [-71.5, -29],
+    [-70.5, -25], [-70.2, -20], [-70.4, -18.3], [-73, -16.3], [-76, -14], [-77.2, -12], [-79.5, -7.5], [-81.2, -5.5],
+    [-80.3, -3.5], [-80.5, -1], [-80, 0.8], [-78.8, 1.6], [-77.5, 3.8], [-77.3, 6.5], [-77.9, 7.2]],
+  // Africa
+  [[-17.5, 14.7], [-16.7, 12.5], [-15, 11], [-13.5, 9.5], [-11.5, 6.9], [-7.5, 4.4], [-4, 5.2], [1, 5.9], [3.5, 6.4],
+    [5.8, 4.3], [8.5, 4.5], [9.8, 2.5], [9.3, 0], [8.8, -1], [11.8, -4.5], [12.3, -6], [13.2, -9], [13.6, -12],
+    [12, -15], [11.8, -17.5], [14.4, -22.5], [15.2, -27], [16.5, -28.6], [18.4, -33.8], [20, -34.8], [25.5, -34],
+    [28, -32.6], [30.8, -29.5], [32.6, -26], [35.5, -24], [35.3, -21], [34.8, -19.8], [37, -17.5], [40.6, -15],
+    [40.5, -10.5], [39.3, -7], [39.7, -4], [41.5, -1.5], [43.5, 1], [47, 4.5], [49.5, 8], [51.2, 11.8], [49, 11.3],
+    [45, 10.5], [43.3, 11.6], [42.5, 13.5], [40, 15.5], [39, 16], [37.5, 18.5], [35.5, 24], [33.8, 27.5],
+    [32.5, 29.9], [32.3, 31.3], [29.8, 31.2], [25, 31.6], [20, 32.1], [19.5, 30.3], [15.2, 32.3], [11, 33.2],
+    [10, 34.5], [11, 37], [9.8, 37.3], [3, 36.8], [-1, 35.7], [-5.9, 35.8], [-6.5, 34], [-9.6, 30.5], [-13, 27.6],
+    [-17, 21], [-16.2, 19.5], [-16.5, 17]],
+  [[49.3, -12], [50.5, -15.5], [49.8, -16], [48.5, -20.5], [47, -25], [45.1, -25.5], [43.7, -23.6], [43.3, -21.5],
+    [44.4, -19.8], [44, -17], [46.5, -15.7], [48, -13.5]],
+  // Eurasia, from Gibraltar round Scandinavia, Siberia and East Asia to the Mediterranean
+  [[-5.6, 36], [-6.5, 36.9], [-8.9, 37], [-9.5, 39], [-8.8, 42], [-9.3, 43], [-8, 43.7], [-1.5, 43.4], [-1.2, 46],
+    [-2.7, 47.5], [-4.7, 48.4], [-1.6, 48.8], [1.5, 50.2], [3.5, 51.4], [4.7, 53], [8.5, 53.8], [8.6, 55.5],
+    [8.2, 56.8], [10.5, 57.7], [10.3, 56], [10.9, 54.4], [14, 54.1], [18, 54.8], [21, 55.2], [21.1, 56.8], [24, 57.3],
+    [23.5, 59.2], [28, 59.5], [30, 60], [26, 60.4], [22.8, 60], [21.4, 61], [21.5, 63.5], [25, 65], [22, 65.7],
+    [19, 63.5], [17.5, 62], [17.3, 60.7], [19, 59.8], [18.5, 59], [16.5, 57], [14.2, 55.4], [12.8, 55.6],
+    [11.3, 58.4], [10.5, 59.5], [8, 58.1], [5.6, 58.9], [5, 61], [5.5, 62.3], [10, 64], [13, 66.5], [15, 68.2],
+    [18, 69.5], [23, 70.6], [28, 71], [31, 70], [33, 69.3], [40, 67.9], [41, 66.5], [44, 66], [44, 68.5], [50, 68],
+    [54, 68.7], [58, 68.9], [60.5, 69.8], [66, 69.5], [67.5, 71], [69.5, 73], [72.5, 72.8], [75, 72.5], [80, 73.5],
+    [87, 75], [95, 76.1], [104.5, 77.7], [112, 76], [113.5, 73.5], [120, 73], [129, 71.5], [139, 72], [146, 72.3],
+    [152, 70.9], [160, 69.6], [170, 70], [176, 69.7], [180, 68.9], [180, 65.2], [178, 64.6], [176, 62.5], [170, 60],
+    [163, 59.9], [162.5, 56.2], [160, 53], [156.7, 51], [156, 53.5], [156.5, 57.5], [152, 59.2], [143, 59.3],
+    [138, 54], [141.4, 53], [140, 48.5], [138, 46.5], [135, 43.5], [132, 43], [130, 42.5], [129.5, 40.8], [128, 39],
+    [129.4, 36], [129, 35.1], [126.5, 34.4], [126.5, 37.5], [125.2, 38], [124.3, 39.9], [121.5, 39], [121, 40.8],
+    [118, 39.2], [117.7, 38.5], [119, 37.2], [122.5, 37.4], [120.3, 36], [119.2, 34.8], [120.8, 32], [121.9, 30.9],
+    [121.8, 29], [120.5, 27.5], [119.3, 25.5], [117, 23.5], [114, 22.3], [111, 21.5], [110.2, 20.3], [109.5, 21.5],
+    [108, 21.5], [106.5, 20], [105.7, 19], [106.5, 17.5], [108.8, 15.5], [109.3, 12.5], [107, 10.5], [105, 8.6],
+    [104.8, 10.4], [103, 11.5], [100.8, 12.7], [100, 13.5], [99.2, 10.5], [100.3, 8], [100.6, 7], [101.5, 6.8],
+    [103.4, 4.5], [104.2, 1.4], [103.5, 1.3], [101.3, 2.8], [100.3, 5.5], [98.3, 8], [98.5, 10], [97.7, 16.5],
+    [94.5, 16], [94.3, 18.5], [92.4, 20.7], [91.8, 22.4], [90.5, 22], [88.8, 21.6], [86.9, 21], [85, 19.5],
+    [82.3, 16.6], [80.3, 15.5], [80.2, 13], [79.8, 10.3], [78.2, 8.9], [77.5, 8.1], [76.4, 9.5], [75, 12.8],
+    [73.5, 16], [72.8, 19], [72.6, 21.5], [70, 20.8], [69, 22.4], [68, 23.7], [67, 24.8], [64, 25.3], [61.5, 25.2],
+    [57.3, 25.8], [56.5, 27.1], [54, 26.6], [51.5, 27.8], [50, 30.1], [48, 30], [48.5, 28.3], [50, 26.5], [51.6, 24],
+    [54.5, 24.2], [56.3, 26.2], [56.4, 24.5], [58.5, 23.6], [59.8, 22.5], [57.8, 19], [55.5, 17.5], [52, 15.8],
+    [48.5, 14], [45, 12.8], [43.5, 12.7], [42.8, 15], [42.5, 16.5], [40.8, 19.5], [39, 21.5], [37.2, 25],
+    [35.3, 28], [34.9, 29.5], [34.2, 27.8], [32.6, 29.9], [32.3, 31.3], [34.3, 31.3], [35, 33], [35.9, 35.5],
+    [36, 36.8], [34.5, 36.7], [32.5, 36.1], [30.5, 36.3], [28.2, 36.7], [27.3, 37.9], [26.3, 39.4], [26.7, 40.4],
+    [29, 41.1], [31.5, 41.2], [35, 42], [38, 40.9], [41.5, 41.5], [40, 43.5], [38, 44.8], [36.7, 45.3], [35, 45],
+    [33.5, 44.5], [32.5, 45.5], [31, 46.6], [30.2, 45.8], [29.6, 45], [28.6, 44], [28, 43], [27.9, 42], [26.1, 40.8],
+    [23.8, 40.7], [22.6, 40.3], [24, 38.2], [23, 36.5], [21.7, 36.8], [21.1, 38.3], [20, 39.7], [19.4, 40.5],
+    [19.5, 41.8], [18.5, 42.5], [15.9, 43.6], [14, 45.3], [13.6, 45.7], [12.3, 45.3], [12.4, 44.2], [13.6, 43.5],
+    [16.2, 41.7], [18.5, 40.1], [17, 39], [16.5, 38.8], [15.7, 38], [15.8, 40], [14.3, 40.8], [12.5, 41.7],
+    [10.5, 43], [9.8, 44.2], [8, 43.9], [6, 43.1], [4, 43.5], [3.1, 42.4], [3.2, 41.8], [0.9, 41], [0, 39.6],
+    [-0.6, 38], [-2, 36.7], [-4.4, 36.7]],
+  // Chukotka east of the antimeridian
+  [[-180, 68.9], [-175, 67.4], [-170, 66.2], [-172.5, 64.3], [-180, 65.2]],
+  // European and Arctic islands
+  [[-5.7, 50.1], [1.4, 51.2], [1.7, 52.7], [0.2, 53.5], [-0.2, 54.5], [-1.6, 55.6], [-3, 56], [-2, 57.6],
+    [-3.5, 58.6], [-5, 58.6], [-6.2, 57.5], [-5.6, 56.3], [-4.9, 55], [-3, 54.9], [-3.2, 53.4], [-4.6, 53.3],
+    [-4.2, 52.3], [-5.3, 51.7], [-3.3, 51.4], [-4.2, 51.2]],
+  [[-6, 52.2], [-6.2, 53.9], [-5.8, 54.9], [-7.3, 55.4], [-8.5, 54.6], [-10, 54], [-9.9, 52.3], [-10.4, 51.8],
+    [-8, 51.6]],
+  [[-22.5, 63.8], [-24, 65.5], [-22.5, 66.4], [-18, 66.2], [-14.5, 66.3], [-13.5, 65], [-15, 64.3], [-18, 63.4]],
+  [[11, 78.5], [16, 80], [22, 80.3], [27, 80], [20, 78.5], [17, 76.6], [13.5, 78]],
+  [[52, 71.5], [56, 73.5], [60, 75.5], [68.5, 76.8], [66, 75.5], [57, 70.6], [53, 70.8]],
+  // Asian islands
+  [[79.9, 9.7], [80.3, 9.8], [81.9, 7.5], [81.3, 6.2], [80.1, 6], [79.8, 7.8]],
+  [[108.6, 19.2], [110.5, 20.1], [111, 19.6], [109.5, 18.2]],
+  [[121, 25.2], [121.9, 24.9], [120.8, 22], [120.1, 23]],
+  [[129.7, 33.3], [131, 33.9], [131.8, 31.5], [130.6, 31], [130, 32.7]],
+  [[130.9, 34], [132.5, 35.4], [135.5, 35.7], [136.8, 37.3], [139, 37.9], [140, 39.7], [140, 41.2], [141.5, 41.3],
+    [141.9, 39], [140.9, 36.9], [140.7, 35.7], [139.8, 35], [138.8, 34.6], [137, 34.6], [135.1, 33.8], [135, 34.6],
+    [133, 34.4], [131.3, 34.3]],
+  [[140, 41.5], [141, 43.2], [141.7, 45.4], [143.8, 44.2], [145.5, 43.3], [143.3, 42], [141, 41.8]],
+  [[142, 46], [143.5, 46.8], [143, 49.5], [143.2, 53], [142.4, 54.3], [141.6, 52], [142, 48]],
+  [[120.6, 18.5], [122.3, 18.4], [122, 16.2], [124, 13], [121.7, 13.9], [120.6, 14.4], [120, 16]],
+  [[122, 7], [125.5, 9.8], [126.5, 7.3], [125.4, 5.6], [123.8, 7.7]],
+  // Indonesia and New Guinea
+  [[95.3, 5.6], [97.5, 5.2], [98.7, 3.7], [100.3, 2.3], [103.7, -1], [104.5, -2], [105.9, -5.8], [104.5, -5.9],
+    [102.3, -4], [100.8, -1.6], [99.2, 0.2], [98.1, 2], [96.5, 3.8]],
+  [[105.2, -6.8], [106.8, -6], [108.5, -6.7], [111, -6.4], [112.7, -6.9], [114.5, -7.7], [114.4, -8.7], [111, -8.3],
+    [108.3, -7.8], [106.5, -7.4]],
+  [[109, 1.6], [109.6, -1], [110.2, -2.9], [114.5, -3.9], [116.2, -4], [116.4, -2], [117.9, 0.8], [118.8, 1.2],
+    [119.2, 5.3], [117.3, 6.9], [116, 6], [115.4, 5], [113.9, 4.3], [111, 1.9], [109.6, 2]],
+  [[119.4, -5.5], [120.4, -5.6], [121, -2.7], [123.3, -0.9], [125, 1.5], [124.5, 0.4], [120.5, 0.5], [119, -3]],
+  [[131, -1.3], [134, -0.8], [138, -1.6], [141, -2.6], [145.8, -5], [147.5, -6.1], [148, -8.1], [150, -10.3],
+    [147, -10], [144, -7.7], [141, -9.1], [138.5, -8.3], [137.8, -5.2], [134.5, -4], [132.3, -2.9]],
+  // Australia and New Zealand
+  [[113.5, -22], [114, -26.5], [115, -29.5], [115.7, -33.5], [115, -34.3], [118, -35], [121.5, -33.8], [124, -33],
+    [126, -32.3], [131, -31.5], [134, -32.8], [135.7, -34.8], [137.5, -33], [138, -35.6], [140, -37.9],
+    [143.5, -38.8], [146.4, -39.1], [148, -37.8], [150, -37.5], [151, -34], [153, -31], [153.6, -28], [153, -25.3],
+    [150.8, -22.5], [149, -20.5], [146.3, -19], [145.3, -15], [143.5, -14], [142.5, -10.7], [141.5, -13],
+    [141.6, -17], [140.8, -17.5], [139.3, -17.4], [137, -15.9], [135.5, -15], [136.8, -12.2], [135, -12.3],
+    [132.5, -11.4], [130.2, -12.5], [129.5, -15], [126.8, -13.9], [125, -15.2], [123, -16.5], [122, -18.5],
+    [119, -20], [116.8, -20.6], [114, -21.8]],
+  [[144.6, -40.7], [148.3, -40.9], [148, -43.2], [146, -43.6], [145.2, -42.2]],
+  [[172.7, -34.4], [174.5, -35.5], [175.9, -37.5], [178.5, -37.7], [177, -39.5], [176, -41.3], [174.8, -41.4],
+    [174.5, -39.9], [173.8, -39.2], [174.6, -37]],
+  [[172.7, -40.5], [174.2, -41.7], [173.3, -42.8], [171, -44.8], [169, -46.6], [166.5, -46.1], [167, -45],
+    [168.4, -44], [170.5, -42.8], [171.5, -41.6]],
+  // Antarctica, closed along the pole
+  [[-180, -78], [-160, -78.5], [-150, -77], [-140, -75.5], [-120, -74], [-100, -73], [-80, -73], [-75, -70],
+    [-68, -67], [-63, -65], [-57, -63.3], [-60, -67], [-62, -72], [-60, -75], [-50, -77.5], [-35, -78], [-30, -76],
+    [-20, -73], [-10, -71], [0, -70], [20, -70], [40, -69], [55, -66.5], [70, -68], [72, -70], [80, -67],
+    [90, -66.5], [100, -66], [110, -66], [120, -66.5], [135, -66], [150, -68], [160, -70], [170.3, -71.3],
+    [165, -74], [163, -77], [167, -78], [180, -78], [180, -90], [-180, -90]]
+];
+
+// Drawn over the land in the ocean's colour
+export const LAKES = [
+  // Caspian Sea
+  [[47, 44.5], [49, 46.5], [51.5, 47], [53, 45.3], [51, 44.2], [51.5, 42.5], [53, 41.5], [54, 38.5], [53.5, 37],
+    [50.5, 37], [49, 38.5], [49.5, 40.3], [47.8, 42.5]]
+];
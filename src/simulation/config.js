@@ -0,0 +1,303 @@
+import { ELEMENT_CATALOGUE, WUNDERLING_ELEMENT_IDS, INTERACTIONS, INTERACTION_STRENGTH, SCENARIOS, selectElements } from './data.js';
+import { DEFAULT_END_YEAR, MAX_END_YEAR, MODELS, START_YEAR } from './engine.js';
+import { createPathwayScenario, validatePathway } from './pathways.js';
+import { IMPACT_METRICS } from './impacts.js';
+
+// Model configuration files (JSON). See "Model configuration files" in the
+// README for the format. validateConfig never throws on bad input: it returns
+// every problem it finds as a readable message so a whole file can be fixed at once.
+
+export const CONFIG_VERSION = 1;
+
+export const DEFAULT_CONSTANTS = {
+  interactionStrength: INTERACTION_STRENGTH,
+  model: 'heuristic',
+  endYear: DEFAULT_END_YEAR,
+  cuspTimescale: 10,
+  cuspSubsteps: 4,
+  unclearLinks: null,
+  carbonFeedback: null,
+  progressiveCoupling: true
+};
+
+const LINK_TYPES = ['destabilizing', 'stabilizing', 'unclear'];
+const TOP_LEVEL_KEYS = ['version', 'name', 'elements', 'selectedElements', 'interactions', 'scenarios', 'constants'];
+
+export const DEFAULT_CONFIG = {
+  name: 'Wunderling et al. (2021)',
+  elements: ELEMENT_CATALOGUE,
+  selectedElements: WUNDERLING_ELEMENT_IDS,
+  interactions: INTERACTIONS,
+  scenarios: SCENARIOS,
+  constants: DEFAULT_CONSTANTS
+};
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isString = (v) => typeof v === 'string' && v.trim() !== '';
+const describe = (path, item) => (isString(item?.id) ? `${path} ("${item.id}")` : path);
+
+function validateElement(raw, path, errors) {
+  const where = describe(path, raw);
+  if (!raw || typeof raw !== 'object') {
+    errors.push(`${path}: must be an object`);
+    return null;
+  }
+  if (!isString(raw.id)) errors.push(`${where}: "id" must be a non-empty string`);
+  if (!isString(raw.name)) errors.push(`${where}: "name" must be a non-empty string`);
+  if (!isNumber(raw.thresholdMin)) errors.push(`${where}: "thresholdMin" must be a number`);
+  if (!isNumber(raw.thresholdMax)) errors.push(`${where}: "thresholdMax" must be a number`);
+  if (isNumber(raw.thresholdMin) && isNumber(raw.thresholdMax) && raw.thresholdMin > raw.thresholdMax) {
+    errors.push(`${where}: thresholdMin (${raw.thresholdMin}) is greater than thresholdMax (${raw.thresholdMax})`);
+  }
+  if (isNumber(raw.thresholdMin) && raw.thresholdMin < 0.8) {
+    errors.push(`${where}: thresholdMin (${raw.thresholdMin}) must be at least 0.8°C, where the stress model starts`);
+  }
+  if (raw.reversalOffset !== undefined && !(isNumber(raw.reversalOffset) && raw.reversalOffset >= 0)) {
+    errors.push(`${where}: "reversalOffset" must be a number ≥ 0`);
+  }
+  if (raw.recoveryYears !== undefined && !(isNumber(raw.recoveryYears) && raw.recoveryYears > 0)) {
+    errors.push(`${where}: "recoveryYears" must be a number > 0`);
+  }
+  if (raw.recoveryNote !== undefined && typeof raw.recoveryNote !== 'string') {
+    errors.push(`${where}: "recoveryNote" must be a string`);
+  }
+  if (raw.transitionYears !== undefined && !(isNumber(raw.transitionYears) && raw.transitionYears > 0)) {
+    errors.push(`${where}: "transitionYears" must be a number > 0`);
+  }
+  if (raw.impacts !== undefined) {
+    if (!raw.impacts || typeof raw.impacts !== 'object') {
+      errors.push(`${where}: "impacts" must be an object`);
+    } else {
+      Object.entries(raw.impacts).forEach(([key, range]) => {
+        if (!IMPACT_METRICS.some(metric => metric.id === key)) {
+          errors.push(`${where}: unknown impact "${key}" (use ${IMPACT_METRICS.map(metric => metric.id).join(', ')})`);
+        } else if (!Array.isArray(range) || range.length !== 3 || !range.every(isNumber) || range[0] > range[1] || range[1] > range[2]) {
+          errors.push(`${where}: impacts.${key} must be [low, central, high] in increasing order`);
+        }
+      });
+    }
+  }
+  if (raw.position !== undefined) {
+    const { x, y } = raw.position ?? {};
+    if (!isNumber(x) || !isNumber(y) || x < 0 || x > 100 || y < 0 || y > 100) {
+      errors.push(`${where}: "position" must be { "x": 0–100, "y": 0–100 }`);
+    }
+  }
+  if (raw.location !== undefined) {
+    const { lat, lon } = raw.location ?? {};
+    if (!isNumber(lat) || !isNumber(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      errors.push(`${where}: "location" must be { "lat": -90–90, "lon": -180–180 }`);
+    }
+  }
+
+  return {
+    fullName: raw.name,
+    tippingName: 'Tipping',
+    icon: '●',
+    color: '#94a3b8',
+    role: '',
+    shortDesc: '',
+    description: '',
+    ...raw
+  };
+}
+
+function validateInteraction(raw, path, elementIds, errors) {
+  if (!raw || typeof raw !== 'object') {
+    errors.push(`${path}: must be an object`);
+    return null;
+  }
+  ['from', 'to'].forEach(end => {
+    if (!isString(raw[end])) {
+      errors.push(`${path}: "${end}" must be an element id`);
+    } else if (!elementIds.has(raw[end])) {
+      errors.push(`${path}: unknown element "${raw[end]}" in "${end}"`);
+    }
+  });
+  if (raw.from === raw.to && isString(raw.from)) errors.push(`${path}: an element cannot interact with itself`);
+  if (!LINK_TYPES.includes(raw.type)) {
+    errors.push(`${path}: "type" must be one of ${LINK_TYPES.join(', ')} (got ${JSON.stringify(raw.type)})`);
+  }
+  if (!isNumber(raw.strength) || raw.strength < 0) errors.push(`${path}: "strength" must be a number ≥ 0`);
+  return { label: '', ...raw };
+}
+
+function validateScenario(raw, path, errors) {
+  const where = describe(path, raw);
+  if (!raw || typeof raw !== 'object') {
+    errors.push(`${path}: must be an object`);
+    return null;
+  }
+  if (!isString(raw.id)) errors.push(`${where}: "id" must be a non-empty string`);
+  if (!isString(raw.name)) errors.push(`${where}: "name" must be a non-empty string`);
+
+  const base = { icon: '🌡️', color: '#94a3b8', description: '', ...raw };
+  if (raw.pathway !== undefined) {
+    const pathwayErrors = validatePathway(raw.pathway);
+    pathwayErrors.forEach(err => errors.push(`${where}: pathway: ${err}`));
+    return pathwayErrors.length === 0 ? createPathwayScenario({ ...base, ...raw.pathway }) : null;
+  }
+  if (!isNumber(raw.targetTemp) || !isNumber(raw.yearsToTarget) || raw.yearsToTarget <= 0) {
+    errors.push(`${where}: needs either "targetTemp" and a positive "yearsToTarget", or a "pathway"`);
+  }
+  return base;
+}
+
+function validateConstants(raw, errors) {
+  if (raw === undefined) return DEFAULT_CONSTANTS;
+  if (!raw || typeof raw !== 'object') {
+    errors.push('constants: must be an object');
+    return DEFAULT_CONSTANTS;
+  }
+  Object.keys(raw).forEach(key => {
+    if (!(key in DEFAULT_CONSTANTS)) errors.push(`constants: unknown constant "${key}"`);
+  });
+  const constants = { ...DEFAULT_CONSTANTS, ...raw };
+  if (!isNumber(constants.interactionStrength) || constants.interactionStrength < 0) {
+    errors.push('constants.interactionStrength: must be a number ≥ 0');
+  }
+  if (!MODELS.includes(constants.model)) errors.push(`constants.model: must be one of ${MODELS.join(', ')}`);
+  if (!Number.isInteger(constants.endYear) || constants.endYear <= START_YEAR || constants.endYear > MAX_END_YEAR) {
+    errors.push(`constants.endYear: must be a whole year from ${START_YEAR + 1} to ${MAX_END_YEAR}`);
+  }
+  if (!isNumber(constants.cuspTimescale) || constants.cuspTimescale <= 0) {
+    errors.push('constants.cuspTimescale: must be a number > 0');
+  }
+  if (!Number.isInteger(constants.cuspSubsteps) || constants.cuspSubsteps < 1) {
+    errors.push('constants.cuspSubsteps: must be a whole number ≥ 1');
+  }
+  if (constants.unclearLinks !== null) {
+    const { probabilityDestabilizing: p, strengthMin, strengthMax } = constants.unclearLinks ?? {};
+    if (!isNumber(p) || p < 0 || p > 1 || !isNumber(strengthMin) || !isNumber(strengthMax) || strengthMin < 0 || strengthMin > strengthMax) {
+      errors.push(
+        'constants.unclearLinks: must be null or { "probabilityDestabilizing": 0–1, "strengthMin": ≥ 0, "strengthMax": ≥ strengthMin }'
+      );
+    }
+  }
+  if (constants.carbonFeedback !== null
+    && !(isNumber(constants.carbonFeedback?.warmingPerGtC) && constants.carbonFeedback.warmingPerGtC >= 0)) {
+    errors.push('constants.carbonFeedback: must be null or { "warmingPerGtC": ≥ 0 }');
+  }
+  if (typeof constants.progressiveCoupling !== 'boolean') {
+    errors.push('constants.progressiveCoupling: must be true or false');
+  }
+  return constants;
+}
+
+// Returns { config, errors }. `config` is only set when there are no errors; it
+// has the same shape as DEFAULT_CONFIG, with elements keyed by id.
+export function validateConfig(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { config: null, errors: ['The configuration must be a JSON object'] };
+  }
+
+  Object.keys(raw).forEach(key => {
+    if (!TOP_LEVEL_KEYS.includes(key)) errors.push(`Unknown top-level field "${key}"`);
+  });
+  if (raw.version !== undefined && raw.version !== CONFIG_VERSION) {
+    errors.push(`Unsupported version ${JSON.stringify(raw.version)} (expected ${CONFIG_VERSION})`);
+  }
+
+  const rawElements = raw.elements ?? Object.values(DEFAULT_CONFIG.elements);
+  const elements = {};
+  if (!Array.isArray(rawElements) || rawElements.length === 0) {
+    errors.push('elements: must be a non-empty array');
+  } else {
+    rawElements.forEach((item, i) => {
+      const el = validateElement(item, `elements[${i}]`, errors);
+      if (!el || !isString(el.id)) return;
+      if (elements[el.id]) errors.push(`elements[${i}]: duplicate element id "${el.id}"`);
+      elements[el.id] = el;
+    });
+  }
+  const elementIds = new Set(Object.keys(elements));
+
+  let selectedElements = raw.selectedElements ?? (raw.elements ? [...elementIds] : DEFAULT_CONFIG.selectedElements);
+  if (!Array.isArray(selectedElements) || selectedElements.length === 0) {
+    errors.push('selectedElements: must be a non-empty array of element ids');
+    selectedElements = [];
+  } else {
+    selectedElements.forEach((id, i) => {
+      if (!elementIds.has(id)) errors.push(`selectedElements[${i}]: unknown element "${id}"`);
+    });
+  }
+
+  const rawInteractions = raw.interactions ?? (raw.elements ? [] : DEFAULT_CONFIG.interactions);
+  const interactions = [];
+  if (!Array.isArray(rawInteractions)) {
+    errors.push('interactions: must be an array');
+  } else {
+    rawInteractions.forEach((item, i) => {
+      const int = validateInteraction(item, `interactions[${i}]`, elementIds, errors);
+      if (!int) return;
+      if (interactions.some(other => other.from === int.from && other.to === int.to)) {
+        errors.push(`interactions[${i}]: duplicate link ${int.from} → ${int.to}`);
+      }
+      interactions.push(int);
+    });
+  }
+
+  const rawScenarios = raw.scenarios ?? DEFAULT_CONFIG.scenarios;
+  const scenarios = [];
+  if (!Array.isArray(rawScenarios) || rawScenarios.length === 0) {
+    errors.push('scenarios: must be a non-empty array');
+  } else {
+    rawScenarios.forEach((item, i) => {
+      const scenario = validateScenario(item, `scenarios[${i}]`, errors);
+      if (!scenario) return;
+      if (scenarios.some(other => other.id === scenario.id)) errors.push(`scenarios[${i}]: duplicate scenario id "${scenario.id}"`);
+      scenarios.push(scenario);
+    });
+  }
+
+  const constants = validateConstants(raw.constants, errors);
+
+  if (errors.length > 0) return { config: null, errors };
+  return {
+    config: {
+      name: isString(raw.name) ? raw.name : 'Custom configuration',
+      elements,
+      selectedElements: Object.keys(elements).filter(id => selectedElements.includes(id)),
+      interactions,
+      scenarios,
+      constants
+    },
+    errors
+  };
+}
+
+export function parseConfigJson(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    return { config: null, errors: [`Not valid JSON: ${err.message}`] };
+  }
+  return validateConfig(raw);
+}
+
+// createSimulation options for a validated configuration, as the app sets up
+// a freshly loaded one
+export function simulationOptions(config) {
+  return {
+    ...config.constants,
+    tippingElements: selectElements(config.selectedElements, config.elements),
+    interactions: config.interactions
+  };
+}
+
+// Serialisable form of a configuration, as accepted by validateConfig
+export function exportConfig(config) {
+  return {
+    version: CONFIG_VERSION,
+    name: config.name,
+    elements: Object.values(config.elements),
+    selectedElements: config.selectedElements,
+    interactions: config.interactions,
+    scenarios: config.scenarios.map(({ pathway, ...scenario }) => (pathway
+      ? { ...scenario, pathway: { interpolation: pathway.interpolation, points: pathway.points } }
+      : scenario)),
+    constants: config.constants
+  };
+}
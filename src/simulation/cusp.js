@@ -0,0 +1,125 @@
+// Physical model from Wunderling et al. (2021): each element is a continuous
+// state x_i in a double-well potential,
+//
+//   dx_i/dt = −x_i³ + x_i + √(4/27)·T/T_crit,i + d·Σ_j s_ij (x_j + 1)
+//
+// x ≈ −1 is the untipped well, x ≈ +1 the tipped one. The lower well vanishes
+// exactly at T = T_crit (the fold at x = −1/√3), so the sampled threshold keeps
+// its meaning. Tipping happens when x crosses into the upper well (x > 0).
+//
+// The coupling term (x_j + 1) is what an element passes on to its neighbours.
+// With progressive coupling, the part of it above the tipping point (x_j > 0) is
+// scaled by the element's transition progress, so a slow element such as
+// Greenland only pushes its neighbours fully once its transition is complete.
+
+// Total forcing at which the untipped well vanishes and the element must tip
+export const CRITICAL_FORCING = Math.sqrt(4 / 27);
+const FOLD_STATE = -1 / Math.sqrt(3);
+
+export const CUSP_UNTIPPED_STATE = -1;
+export const CUSP_TIPPING_STATE = 0;
+
+// Paper strengths are relative to the strongest link (10). Unclear links keep the
+// same weak destabilizing push the heuristic model gives them (4 vs 10).
+export function couplingSign(interaction) {
+  if (interaction.type === 'destabilizing') return 1;
+  if (interaction.type === 'stabilizing') return -1;
+  return 0.4;
+}
+
+// 0% in the untipped well at zero warming, 100% at the fold where the well disappears
+export function cuspStress(x) {
+  const stress = ((x - CUSP_UNTIPPED_STATE) / (FOLD_STATE - CUSP_UNTIPPED_STATE)) * 100;
+  return Math.max(0, Math.min(100, stress));
+}
+
+// `scale` is the transition progress of the element (1 without progressive coupling)
+export function couplingState(x, scale) {
+  return x <= 0 ? x + 1 : 1 + scale * x;
+}
+
+const transitionScale = (state, el) => (state.config.progressiveCoupling ? el.progress : 1);
+
+// The terms of an element's forcing at temperature `temp`: warming, and the
+// signed push along each incoming link. Untipped neighbours push a little too.
+export function cuspForcing(state, elementId, temp) {
+  const { interactionStrength } = state.config;
+  const links = [];
+  state.links.forEach(int => {
+    const from = state.elements[int.from];
+    if (int.to === elementId && from) {
+      links.push({
+        from: int.from,
+        type: int.type,
+        tipped: from.tipped,
+        contribution: interactionStrength * couplingSign(int) * int.strength / 10 * couplingState(from.x, transitionScale(state, from))
+      });
+    }
+  });
+  return { warming: CRITICAL_FORCING * temp / state.elements[elementId].threshold, links };
+}
+
+// Whether the untipped well exists for this element at temperature `temp`,
+// given the current pushes from its neighbours
+export function cuspLowerWellExists(state, elementId, temp) {
+  const { warming, links } = cuspForcing(state, elementId, temp);
+  return links.reduce((forcing, link) => forcing + link.contribution, warming) < CRITICAL_FORCING;
+}
+
+function derivatives(x, temp, thresholds, links, coupling, scales, out) {
+  for (let i = 0; i < x.length; i++) {
+    out[i] = -x[i] * x[i] * x[i] + x[i] + CRITICAL_FORCING * temp / thresholds[i];
+  }
+  for (const link of links) {
+    out[link.to] += coupling * link.weight * couplingState(x[link.from], scales[link.from]);
+  }
+}
+
+// Integrates one simulated year with fixed-step RK4. `tempAt(year)` gives the
+// forcing temperature at fractional years so the pathway is followed smoothly.
+// Buffers are reused across substeps because ensembles call this millions of times.
+export function advanceCusp(state, tempAt) {
+  const { interactionStrength, cuspTimescale, cuspSubsteps } = state.config;
+  const ids = Object.keys(state.elements);
+  const n = ids.length;
+  const index = Object.fromEntries(ids.map((id, i) => [id, i]));
+  const thresholds = ids.map(id => state.elements[id].threshold);
+  // Transition progress only changes between years, so it is fixed over the substeps
+  const scales = Float64Array.from(ids, id => transitionScale(state, state.elements[id]));
+  const links = state.links
+    .filter(int => int.from in index && int.to in index)
+    .map(int => ({ from: index[int.from], to: index[int.to], weight: couplingSign(int) * int.strength / 10 }));
+
+  const h = 1 / cuspSubsteps;
+  const dt = h / cuspTimescale;
+  const x = Float64Array.from(ids, id => state.elements[id].x);
+  const tmp = new Float64Array(n);
+  const k1 = new Float64Array(n);
+  const k2 = new Float64Array(n);
+  const k3 = new Float64Array(n);
+  const k4 = new Float64Array(n);
+  const f = (input, year, out) => derivatives(input, tempAt(year), thresholds, links, interactionStrength, scales, out);
+
+  for (let s = 0; s < cuspSubsteps; s++) {
+    const t = state.year + s * h;
+    f(x, t, k1);
+    for (let i = 0; i < n; i++) tmp[i] = x[i] + k1[i] * dt / 2;
+    f(tmp, t + h / 2, k2);
+    for (let i = 0; i < n; i++) tmp[i] = x[i] + k2[i] * dt / 2;
+    f(tmp, t + h / 2, k3);
+    for (let i = 0; i < n; i++) tmp[i] = x[i] + k3[i] * dt;
+    f(tmp, t + h, k4);
+    for (let i = 0; i < n; i++) x[i] += (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]);
+  }
+
+  const elements = { ...state.elements };
+  const newTips = [];
+  ids.forEach((id, i) => {
+    const prev = state.elements[id];
+    const tipped = prev.tipped || x[i] > CUSP_TIPPING_STATE;
+    if (tipped && !prev.tipped) newTips.push(id);
+    elements[id] = { ...prev, x: x[i], tipped, stress: tipped ? 100 : cuspStress(x[i]) };
+  });
+
+  return { elements, newTips };
+}
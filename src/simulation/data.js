@@ -0,0 +1,281 @@
+// Tipping element catalogue. The first four are accurate to Wunderling et al.
+// 2021 Table 1; the rest follow the threshold ranges of Armstrong McKay et al. 2022.
+// Hysteresis: a tipped element can only recover once warming falls
+// reversalOffset °C below its sampled threshold and stays there for recoveryYears;
+// recoveryNote says why, in the element's info panel.
+// transitionYears is how long a tipped element takes to complete its transition and
+// impacts its long-term consequences as [low, central, high] (see impacts.js); both
+// follow Armstrong McKay et al. 2022 and are indicative.
+// position hand-places an element on the network diagram (percent); only the
+// first four have one, and the rest are laid out automatically around them.
+// location ({ lat, lon }, degrees) places an element on the world map.
+export const ELEMENT_CATALOGUE = {
+  greenland: {
+    id: 'greenland',
+    name: 'Greenland',
+    tippingName: 'Ice Sheet Collapse',
+    fullName: 'Greenland Ice Sheet',
+    icon: '🏔️',
+    thresholdMin: 0.8,
+    thresholdMax: 3.2,
+    role: 'Main Initiator',
+    shortDesc: 'Ice sheet disintegration',
+    description: 'The Greenland Ice Sheet is the second-largest ice body on Earth. "Tipping" means crossing a threshold where melting becomes self-sustaining — the ice sheet will continue to shrink even if warming stops. This would raise global sea levels by approximately 7 meters over centuries to millennia.',
+    color: '#60a5fa',
+    reversalOffset: 1.5,
+    recoveryYears: 500,
+    recoveryNote: 'Regrowth needs far cooler summers than the melt that started it',
+    transitionYears: 10000,
+    impacts: { seaLevel: [6, 7, 7.4] },
+    position: { x: 50, y: 8 },
+    location: { lat: 72, lon: -40 }
+  },
+  wais: {
+    id: 'wais',
+    name: 'Antarctica',
+    tippingName: 'Ice Sheet Collapse',
+    fullName: 'West Antarctic Ice Sheet',
+    icon: '🧊',
+    thresholdMin: 0.8,
+    thresholdMax: 5.5,
+    role: 'Initiator & Mediator',
+    shortDesc: 'Marine ice sheet collapse',
+    description: 'The West Antarctic Ice Sheet sits on bedrock below sea level, making it vulnerable to "marine ice sheet instability." Warming oceans can melt ice from below, causing glaciers to retreat unstoppably. The Thwaites "Doomsday Glacier" is already showing signs of instability. Full collapse would raise sea levels by 3+ meters.',
+    color: '#a78bfa',
+    reversalOffset: 2.0,
+    recoveryYears: 500,
+    recoveryNote: 'Grounding line only re-advances with much colder oceans',
+    transitionYears: 2000,
+    impacts: { seaLevel: [3, 3.3, 5] },
+    position: { x: 50, y: 92 },
+    location: { lat: -79, lon: -112 }
+  },
+  amoc: {
+    id: 'amoc',
+    name: 'AMOC',
+    tippingName: 'Circulation Collapse',
+    fullName: 'Atlantic Meridional Overturning Circulation',
+    icon: '🌊',
+    thresholdMin: 3.5,
+    thresholdMax: 6.0,
+    role: 'Cascade Transmitter',
+    shortDesc: 'Ocean current shutdown',
+    description: 'The AMOC is a massive "conveyor belt" of ocean currents including the Gulf Stream. It carries warm water northward and cold water southward, keeping Europe ~5°C warmer than it would otherwise be. "Tipping" means this circulation could slow dramatically or collapse, causing rapid cooling in Europe, shifted rainfall patterns globally, and rising seas along the US East Coast.',
+    color: '#2dd4bf',
+    reversalOffset: 0.5,
+    recoveryYears: 50,
+    recoveryNote: 'Circulation can restart within decades once freshwater input drops',
+    transitionYears: 50,
+    impacts: { regionalCooling: [3, 5, 8] },
+    position: { x: 8, y: 50 },
+    location: { lat: 47, lon: -32 }
+  },
+  amazon: {
+    id: 'amazon',
+    name: 'Amazon',
+    tippingName: 'Rainforest Dieback',
+    fullName: 'Amazon Rainforest',
+    icon: '🌳',
+    thresholdMin: 3.5,
+    thresholdMax: 4.5,
+    role: 'Follower Only',
+    shortDesc: 'Forest-to-savanna shift',
+    description: 'The Amazon rainforest generates much of its own rainfall through evapotranspiration — trees release water vapor that falls as rain downwind. "Tipping" means this moisture recycling breaks down: drought kills trees, reducing rainfall, killing more trees in a vicious cycle. Large parts of the rainforest could transition to savanna, releasing massive amounts of stored carbon and devastating biodiversity.',
+    color: '#4ade80',
+    reversalOffset: 1.0,
+    recoveryYears: 150,
+    recoveryNote: 'Forest only re-establishes as rainfall returns over generations',
+    transitionYears: 100,
+    impacts: { carbon: [40, 75, 100] },
+    position: { x: 92, y: 50 },
+    location: { lat: -5, lon: -62 }
+  },
+  labrador: {
+    id: 'labrador',
+    name: 'Labrador Sea',
+    tippingName: 'Convection Collapse',
+    fullName: 'Labrador-Irminger Sea Convection',
+    icon: '🌀',
+    thresholdMin: 1.1,
+    thresholdMax: 3.8,
+    role: 'Regional Transmitter',
+    shortDesc: 'Deep-water formation stops',
+    description: 'In the Labrador and Irminger Seas, surface water becomes cold and salty enough in winter to sink to the deep ocean. This "convection" is one of the engines of the wider Atlantic circulation. Freshening from Greenland meltwater and warming could switch it off within a decade, causing abrupt regional cooling around the North Atlantic and weakening the AMOC.',
+    color: '#38bdf8',
+    reversalOffset: 0.5,
+    recoveryYears: 50,
+    recoveryNote: 'Convection can restart quickly once surface waters become dense again',
+    transitionYears: 10,
+    impacts: { regionalCooling: [1, 2, 3] },
+    location: { lat: 58, lon: -54 }
+  },
+  arcticSeaIce: {
+    id: 'arcticSeaIce',
+    name: 'Arctic Sea Ice',
+    tippingName: 'Winter Ice Collapse',
+    fullName: 'Arctic Winter Sea Ice',
+    icon: '🌨️',
+    thresholdMin: 4.5,
+    thresholdMax: 8.7,
+    role: 'Arctic Amplifier',
+    shortDesc: 'Year-round open ocean',
+    description: 'Arctic sea ice already disappears rapidly in summer, but that loss is largely reversible. At much higher warming, the ice may stop reforming even in winter. A dark, open Arctic Ocean absorbs far more sunlight, amplifying warming across the Arctic — including over Greenland and the permafrost regions.',
+    color: '#e2e8f0',
+    reversalOffset: 0.5,
+    recoveryYears: 20,
+    recoveryNote: 'Little hysteresis: ice returns within decades once winters cool',
+    transitionYears: 20,
+    impacts: {},
+    location: { lat: 84, lon: 0 }
+  },
+  borealForest: {
+    id: 'borealForest',
+    name: 'Boreal Forest',
+    tippingName: 'Southern Dieback',
+    fullName: 'Boreal Forest (southern edge)',
+    icon: '🌲',
+    thresholdMin: 1.4,
+    thresholdMax: 5.0,
+    role: 'Follower',
+    shortDesc: 'Forest-to-steppe shift',
+    description: 'The boreal forest circles the high northern latitudes. Along its southern edge, heat, drought, fires and insect outbreaks can kill trees faster than they regrow, turning forest into open woodland or steppe. This releases carbon and changes how much sunlight the land reflects.',
+    color: '#16a34a',
+    reversalOffset: 1.0,
+    recoveryYears: 200,
+    recoveryNote: 'Forest must recolonise over many tree generations',
+    transitionYears: 100,
+    impacts: { carbon: [30, 52, 70] },
+    location: { lat: 60, lon: 100 }
+  },
+  coralReefs: {
+    id: 'coralReefs',
+    name: 'Coral Reefs',
+    tippingName: 'Reef Die-off',
+    fullName: 'Warm-Water Coral Reefs',
+    icon: '🐠',
+    thresholdMin: 1.0,
+    thresholdMax: 2.0,
+    role: 'Isolated Element',
+    shortDesc: 'Mass bleaching die-off',
+    description: 'Tropical coral reefs bleach when ocean temperatures stay too high for too long. Above roughly 1.5°C of global warming, bleaching events become so frequent that reefs cannot recover between them, leading to the loss of most warm-water reefs and the ecosystems and fisheries that depend on them.',
+    color: '#fb7185',
+    reversalOffset: 0.5,
+    recoveryYears: 50,
+    recoveryNote: 'Reefs can regrow over decades if heat stress becomes rare',
+    transitionYears: 10,
+    impacts: {},
+    location: { lat: -18, lon: 147 }
+  },
+  permafrost: {
+    id: 'permafrost',
+    name: 'Permafrost',
+    tippingName: 'Abrupt Thaw',
+    fullName: 'Boreal Permafrost',
+    icon: '🟫',
+    thresholdMin: 1.0,
+    thresholdMax: 2.3,
+    role: 'Carbon Source',
+    shortDesc: 'Frozen soils thaw abruptly',
+    description: 'Permafrost soils store roughly twice as much carbon as the atmosphere. Gradual thaw is already under way, but in ice-rich regions the ground can collapse as ice melts ("thermokarst"), exposing deeper soil and accelerating thaw. The released carbon dioxide and methane add further warming.',
+    color: '#a16207',
+    reversalOffset: 2.0,
+    recoveryYears: 1000,
+    recoveryNote: 'Lost carbon and ground ice take millennia to rebuild',
+    transitionYears: 200,
+    impacts: { carbon: [50, 125, 250] },
+    location: { lat: 67, lon: 130 }
+  },
+  eastAntarctic: {
+    id: 'eastAntarctic',
+    name: 'East Antarctica',
+    tippingName: 'Basin Collapse',
+    fullName: 'East Antarctic Subglacial Basins',
+    icon: '🗻',
+    thresholdMin: 2.0,
+    thresholdMax: 6.0,
+    role: 'Slow Follower',
+    shortDesc: 'Marine basins destabilise',
+    description: 'Parts of the East Antarctic Ice Sheet, such as the Wilkes and Aurora basins, rest on bedrock below sea level like West Antarctica. Warm ocean water reaching their grounding lines could trigger the same runaway retreat, committing several metres of additional sea-level rise over many centuries.',
+    color: '#c4b5fd',
+    reversalOffset: 2.0,
+    recoveryYears: 1000,
+    recoveryNote: 'Ice sheet regrowth takes many thousands of years',
+    transitionYears: 2000,
+    impacts: { seaLevel: [2, 3, 6] },
+    location: { lat: -74, lon: 105 }
+  }
+};
+
+export const WUNDERLING_ELEMENT_IDS = ['greenland', 'wais', 'amoc', 'amazon'];
+
+// Subset of the catalogue, in catalogue order
+export function selectElements(ids, catalogue = ELEMENT_CATALOGUE) {
+  return Object.fromEntries(
+    Object.keys(catalogue).filter(id => ids.includes(id)).map(id => [id, catalogue[id]])
+  );
+}
+
+// The four elements modelled in Wunderling et al. 2021, the default selection
+export const TIPPING_ELEMENTS = selectElements(WUNDERLING_ELEMENT_IDS);
+
+// Interactions from Table 2. Links to the extended catalogue are indicative, on
+// the same 0–10 scale, and only apply when both ends are selected.
+export const INTERACTIONS = [
+  { from: 'greenland', to: 'amoc', type: 'destabilizing', strength: 10, label: 'Meltwater weakens currents' },
+  { from: 'amoc', to: 'greenland', type: 'stabilizing', strength: 10, label: 'Less heat if AMOC weakens' },
+  { from: 'greenland', to: 'wais', type: 'destabilizing', strength: 10, label: 'Sea level rise' },
+  { from: 'wais', to: 'greenland', type: 'destabilizing', strength: 2, label: 'Sea level rise' },
+  { from: 'wais', to: 'amoc', type: 'unclear', strength: 3, label: 'Complex effects' },
+  { from: 'amoc', to: 'wais', type: 'destabilizing', strength: 1.5, label: 'Southern ocean warming' },
+  { from: 'amoc', to: 'amazon', type: 'unclear', strength: 3, label: 'Rainfall pattern changes' },
+  { from: 'greenland', to: 'labrador', type: 'destabilizing', strength: 10, label: 'Meltwater freshens convection sites' },
+  { from: 'labrador', to: 'amoc', type: 'destabilizing', strength: 5, label: 'Less deep-water formation' },
+  { from: 'arcticSeaIce', to: 'greenland', type: 'destabilizing', strength: 2, label: 'Arctic amplification' },
+  { from: 'arcticSeaIce', to: 'permafrost', type: 'destabilizing', strength: 2, label: 'Warmer Arctic soils' },
+  { from: 'borealForest', to: 'permafrost', type: 'destabilizing', strength: 2, label: 'Less insulating forest cover' },
+  { from: 'amoc', to: 'borealForest', type: 'unclear', strength: 2, label: 'Cooler, drier north' },
+  { from: 'wais', to: 'eastAntarctic', type: 'destabilizing', strength: 3, label: 'Ocean warming spreads' },
+  { from: 'eastAntarctic', to: 'amoc', type: 'unclear', strength: 2, label: 'Southern meltwater' }
+];
+
+// Scenarios
+export const SCENARIOS = [
+  { 
+    id: 'paris15',
+    name: 'Paris 1.5°C',
+    icon: '🌱',
+    targetTemp: 1.5,
+    yearsToTarget: 30,
+    color: '#22c55e',
+    description: 'Best case: aggressive emissions cuts'
+  },
+  { 
+    id: 'paris2',
+    name: 'Paris 2°C',
+    icon: '🌡️',
+    targetTemp: 2.0,
+    yearsToTarget: 35,
+    color: '#84cc16',
+    description: 'Paris Agreement upper limit'
+  },
+  { 
+    id: 'current',
+    name: 'Current Policies',
+    icon: '📈',
+    targetTemp: 2.7,
+    yearsToTarget: 50,
+    color: '#eab308',
+    description: 'Where we\'re headed now (~2.7°C)'
+  },
+  { 
+    id: 'worst',
+    name: 'High Emissions',
+    icon: '🔥',
+    targetTemp: 4.0,
+    yearsToTarget: 75,
+    color: '#ef4444',
+    description: 'Continued fossil fuel use'
+  }
+];
+
+export const INTERACTION_STRENGTH = 0.35;
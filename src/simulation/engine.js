@@ -0,0 +1,408 @@
+import { TIPPING_ELEMENTS, INTERACTIONS, INTERACTION_STRENGTH } from './data.js';
+import { createRng, normalizeSeed, randomSeed } from './random.js';
+import { advanceCusp, cuspStress, cuspForcing, cuspLowerWellExists, CRITICAL_FORCING, CUSP_UNTIPPED_STATE } from './cusp.js';
+import { temperatureAt, START_YEAR, START_TEMP } from './pathways.js';
+import { impactsAt } from './impacts.js';
+
+// Headless tipping cascade engine. Every function here is pure: it takes a plain
+// state snapshot and returns a new one, so runs can be driven from the UI, a
+// script or a notebook without React. All randomness comes from a seeded PRNG
+// whose state travels with the snapshot, so a seed fully determines a run.
+
+export { START_YEAR, START_TEMP };
+// Slow elements take centuries to complete their transition, so runs go well past 2300
+export const DEFAULT_END_YEAR = 2500;
+// The app keeps every simulated year for playback, so end years are capped well
+// short of where that would stall the page
+export const MAX_END_YEAR = 3000;
+
+// 'heuristic': stress formula with probabilistic tipping (the original model)
+// 'cusp': coupled ODEs from Wunderling et al., see cusp.js
+export const MODELS = ['heuristic', 'cusp'];
+
+// Unclear links keep a fixed weak destabilizing push unless `unclearLinks` is
+// set, in which case every run draws each one's sign and strength, as the
+// ensemble members of Wunderling et al. do. Strengths are on the paper's 0–10 scale.
+export const DEFAULT_UNCLEAR_SAMPLING = { probabilityDestabilizing: 0.5, strengthMin: 1, strengthMax: 5 };
+
+export const linkKey = (int) => `${int.from}>${int.to}`;
+
+// Carbon-cycle feedback: carbon released by tipped elements (their central
+// `impacts.carbon`, as far as their transition has progressed) warms the planet on
+// top of the scenario pathway. 0.0017 °C per GtC is the central transient climate
+// response to cumulative emissions (TCRE, IPCC AR6).
+export const DEFAULT_CARBON_FEEDBACK = { warmingPerGtC: 0.0017 };
+// A 'feedback' event is logged each time the feedback warming passes another step of this size
+const FEEDBACK_LOG_STEP = 0.1;
+
+export function feedbackWarming(state) {
+  const { carbonFeedback, tippingElements } = state.config;
+  if (!carbonFeedback) return 0;
+  const progressById = Object.fromEntries(Object.entries(state.elements)
+    .filter(([, el]) => el.tipped)
+    .map(([id, el]) => [id, el.progress]));
+  return impactsAt(tippingElements, progressById).carbon.realised[1] * carbonFeedback.warmingPerGtC;
+}
+
+function resolveUnclearLinks(interactions, sampling, rng) {
+  if (!sampling) return interactions;
+  const { probabilityDestabilizing, strengthMin, strengthMax } = sampling;
+  return interactions.map(int => {
+    if (int.type !== 'unclear') return int;
+    const type = rng.next() < probabilityDestabilizing ? 'destabilizing' : 'stabilizing';
+    const strength = strengthMin + rng.next() * (strengthMax - strengthMin);
+    return { ...int, type, strength, sampledFrom: 'unclear' };
+  });
+}
+
+export function createSimulation({
+  tippingElements = TIPPING_ELEMENTS,
+  interactions = INTERACTIONS,
+  scenario = null,
+  interactionStrength = INTERACTION_STRENGTH,
+  endYear = DEFAULT_END_YEAR,
+  model = 'heuristic',
+  cuspTimescale = 10,
+  cuspSubsteps = 4,
+  unclearLinks = null,
+  carbonFeedback = null,
+  progressiveCoupling = true,
+  recordHistory = true,
+  seed = randomSeed()
+} = {}) {
+  if (!MODELS.includes(model)) throw new Error(`Unknown model "${model}"`);
+  seed = normalizeSeed(seed);
+  interactions = interactions.filter(int => int.from in tippingElements && int.to in tippingElements);
+  const rng = createRng(seed);
+  const elements = Object.fromEntries(
+    Object.keys(tippingElements).map(id => {
+      const el = tippingElements[id];
+      const threshold = el.thresholdMin + rng.next() * (el.thresholdMax - el.thresholdMin);
+      return [id, model === 'cusp'
+        ? { stress: 0, tipped: false, threshold, progress: 0, recovery: 0, x: CUSP_UNTIPPED_STATE }
+        : { stress: 0, tipped: false, threshold, progress: 0, recovery: 0 }];
+    })
+  );
+  // Drawn after the thresholds so a seed samples the same thresholds either way
+  const links = resolveUnclearLinks(interactions, unclearLinks, rng);
+
+  const state = {
+    config: {
+      tippingElements,
+      interactions,
+      scenario,
+      interactionStrength,
+      endYear,
+      model,
+      cuspTimescale,
+      cuspSubsteps,
+      unclearLinks,
+      carbonFeedback,
+      progressiveCoupling,
+      recordHistory
+    },
+    seed,
+    // The links in effect for this run: `interactions` with any unclear ones resolved
+    links,
+    rngState: rng.state,
+    year: START_YEAR,
+    temperature: scenario ? temperatureAt(scenario, START_YEAR) : START_TEMP,
+    // temperature = scenario pathway + warming fed back by tipped elements
+    feedbackWarming: 0,
+    elements,
+    cascadeLog: [],
+    history: [],
+    gameOver: false
+  };
+  return recordHistory ? { ...state, history: [historyRow(state)] } : state;
+}
+
+// One row of the year-by-year trajectory, with stress as displayed in the UI
+export function historyRow(state) {
+  const ids = Object.keys(state.elements);
+  return {
+    year: state.year,
+    temperature: state.temperature,
+    feedbackWarming: state.feedbackWarming,
+    stress: Object.fromEntries(ids.map(id => [id, calculateStress(state, id)])),
+    tipped: Object.fromEntries(ids.map(id => [id, state.elements[id].tipped])),
+    progress: Object.fromEntries(ids.map(id => [id, state.elements[id].progress]))
+  };
+}
+
+export function calculateStress(state, elementId, temp = state.temperature) {
+  const el = state.elements[elementId];
+  if (el.tipped) return 100;
+  if (state.config.model === 'cusp') return cuspStress(el.x);
+  return heuristicStress(state, elementId, temp);
+}
+
+// The terms of an element's stress: warming, and the signed push from each
+// tipped neighbour
+function heuristicContributions(state, elementId, temp) {
+  const { interactionStrength, progressiveCoupling } = state.config;
+  const elements = state.elements;
+  const el = elements[elementId];
+
+  const tempRatio = Math.max(0, (temp - 0.8) / (el.threshold - 0.8));
+  const links = [];
+
+  state.links.forEach(interaction => {
+    const from = elements[interaction.from];
+    if (interaction.to === elementId && from?.tipped) {
+      // A tipped element pushes its neighbours in proportion to how far its transition has got
+      const push = interaction.strength * interactionStrength * (progressiveCoupling ? from.progress : 1);
+      const contribution = interaction.type === 'stabilizing' ? -push * 12
+        : interaction.type === 'destabilizing' ? push * 10
+          : push * 4;
+      links.push({ from: interaction.from, type: interaction.type, tipped: true, contribution });
+    }
+  });
+
+  return { warming: tempRatio * 55, links };
+}
+
+// Stress from warming and tipped neighbours, ignoring the element's own tipped flag
+function heuristicStress(state, elementId, temp) {
+  const { warming, links } = heuristicContributions(state, elementId, temp);
+  const stress = links.reduce((sum, link) => sum + link.contribution, warming);
+  return Math.max(0, Math.min(100, stress));
+}
+
+// What pushed an element towards tipping at temperature `temp`: { warming, links },
+// where each link is { from, type, tipped, contribution } and contributions are
+// signed (stabilizing links pull back). Units are the model's own (stress points
+// for the heuristic model, forcing for the cusp model), so compare shares only.
+export function stressAttribution(state, elementId, temp = state.temperature) {
+  return state.config.model === 'cusp'
+    ? cuspForcing(state, elementId, temp)
+    : heuristicContributions(state, elementId, temp);
+}
+
+// Fraction of the destabilizing push that came from warming and from each
+// neighbour; stabilizing links get negative fractions of the same total
+export function attributionShares(attribution) {
+  const total = attribution.links.reduce((sum, link) => sum + Math.max(0, link.contribution), Math.max(0, attribution.warming));
+  const share = (value) => (total > 0 ? value / total : 0);
+  return {
+    warming: share(Math.max(0, attribution.warming)),
+    links: attribution.links.map(link => ({ ...link, share: share(link.contribution) }))
+  };
+}
+
+// Stress at which an element can start to tip in the heuristic model
+const TIPPING_STRESS = 70;
+
+// Where the tipping band starts, in the units of stressAttribution
+const tippingBand = (model) => (model === 'cusp' ? CRITICAL_FORCING : TIPPING_STRESS);
+// A push below this share of the total is never named as a trigger, even when
+// it happened to carry the element the last fraction into its band
+const MIN_TRIGGER_SHARE = 0.01;
+
+// The tipped upstream neighbours that pushed an element over, strongest first:
+// as many as it took to bring it into its tipping band (from `band` up). None
+// when warming and the other links would have brought it there by themselves,
+// so a slight push from a neighbour doesn't make a warming-driven tip a cascade.
+export function triggersOf(attribution, band) {
+  const pushes = attributionShares(attribution).links
+    .filter(link => link.tipped && link.share >= MIN_TRIGGER_SHARE)
+    .sort((a, b) => b.contribution - a.contribution);
+  let reached = attribution.links.reduce((sum, link) => sum + link.contribution, attribution.warming)
+    - pushes.reduce((sum, link) => sum + link.contribution, 0);
+  const triggers = [];
+  for (const link of pushes) {
+    if (reached >= band) break;
+    triggers.push(link.from);
+    reached += link.contribution;
+  }
+  return triggers;
+}
+
+export function checkTipping(stress, tipped, random) {
+  if (tipped) return false;
+  if (stress >= 85) return random() < (stress - 85) / 15 * 0.4;
+  if (stress >= TIPPING_STRESS) return random() < 0.05;
+  return false;
+}
+
+// A tipped element starts recovering only where it would no longer tip if
+// warming were reversalOffset higher, i.e. below threshold − reversalOffset once
+// pushes from tipped neighbours are included. Elements without an offset never recover.
+export function canRecover(state, elementId, temp = state.temperature) {
+  const offset = state.config.tippingElements[elementId].reversalOffset;
+  if (offset === undefined) return false;
+  if (state.config.model === 'cusp') return cuspLowerWellExists(state, elementId, temp + offset);
+  return heuristicStress(state, elementId, temp + offset) < TIPPING_STRESS;
+}
+
+// Recovery progresses by 1/recoveryYears for every year recovery is possible
+// and decays at the same rate when it isn't
+function advanceRecovery(state, elements, temperature) {
+  const recovered = [];
+  Object.keys(elements).forEach(id => {
+    const el = elements[id];
+    if (!el.tipped || !state.elements[id].tipped) return;
+
+    const rate = 1 / (state.config.tippingElements[id].recoveryYears ?? 1);
+    const recovery = canRecover(state, id, temperature)
+      ? Math.min(1, el.recovery + rate)
+      : Math.max(0, el.recovery - rate);
+
+    if (recovery >= 1) {
+      const reset = state.config.model === 'cusp' ? { x: CUSP_UNTIPPED_STATE } : {};
+      elements[id] = {
+        ...el,
+        ...reset,
+        tipped: false,
+        tippedYear: undefined,
+        progress: 0,
+        recovery: 0,
+        stress: 0,
+        recoveredYear: state.year + 1
+      };
+      recovered.push(id);
+    } else {
+      elements[id] = { ...el, recovery };
+    }
+  });
+  return recovered;
+}
+
+// Elements that were already tipped move 1/transitionYears further through their
+// transition; a newly tipped element starts at 0
+function advanceTransitions(state, elements) {
+  Object.keys(elements).forEach(id => {
+    if (!elements[id].tipped || !state.elements[id].tipped) return;
+    const rate = 1 / (state.config.tippingElements[id].transitionYears ?? 1);
+    elements[id] = { ...elements[id], progress: Math.min(1, elements[id].progress + rate) };
+  });
+}
+
+export function isFinished(state) {
+  return state.gameOver || state.year >= state.config.endYear;
+}
+
+function advanceHeuristic(state, temperature, rng) {
+  const elements = { ...state.elements };
+  const newTips = [];
+
+  Object.keys(state.elements).forEach(id => {
+    const stress = calculateStress(state, id, temperature);
+    elements[id] = { ...elements[id], stress };
+
+    if (checkTipping(stress, state.elements[id].tipped, rng.next)) {
+      elements[id] = { ...elements[id], tipped: true, stress: 100 };
+      newTips.push(id);
+    }
+  });
+
+  return { elements, newTips };
+}
+
+// Advance the simulation by one year
+export function step(state) {
+  const { tippingElements, scenario, model } = state.config;
+  if (!scenario) throw new Error('Cannot step a simulation without a scenario');
+  if (isFinished(state)) return state;
+
+  const year = state.year + 1;
+  // Feedback from the elements tipped so far, held fixed over the year
+  const feedback = feedbackWarming(state);
+  const temperature = temperatureAt(scenario, year) + feedback;
+  const rng = createRng(state.rngState);
+  const { elements, newTips } = model === 'cusp'
+    ? advanceCusp(state, t => temperatureAt(scenario, t) + feedback)
+    : advanceHeuristic(state, temperature, rng);
+  const recovered = advanceRecovery(state, elements, temperature);
+  advanceTransitions(state, elements);
+  newTips.forEach(id => { elements[id] = { ...elements[id], tippedYear: year }; });
+
+  const feedbackSteps = Math.floor(feedback / FEEDBACK_LOG_STEP);
+  const feedbackEvents = feedbackSteps > Math.floor(state.feedbackWarming / FEEDBACK_LOG_STEP) ? [{
+    id: 'feedback',
+    type: 'feedback',
+    year,
+    element: `Carbon-cycle feedback passes +${(feedbackSteps * FEEDBACK_LOG_STEP).toFixed(1)}°C`,
+    icon: '🔥',
+    temp: temperature.toFixed(1),
+    isCascade: false
+  }] : [];
+
+  const cascadeLog = newTips.length === 0 && recovered.length === 0 && feedbackEvents.length === 0 ? state.cascadeLog : [
+    ...state.cascadeLog,
+    ...feedbackEvents,
+    ...recovered.map(id => ({
+      id,
+      type: 'recovered',
+      year,
+      element: tippingElements[id].fullName,
+      icon: tippingElements[id].icon,
+      temp: temperature.toFixed(1),
+      isCascade: false
+    })),
+    ...newTips.map(id => {
+      // Attributed with the neighbours as they were when the year began, which is what pushed it over
+      const attribution = stressAttribution(state, id, temperature);
+      const triggeredBy = triggersOf(attribution, tippingBand(state.config.model));
+      return {
+        id,
+        type: 'tipped',
+        year,
+        element: tippingElements[id].fullName,
+        icon: tippingElements[id].icon,
+        temp: temperature.toFixed(1),
+        isCascade: triggeredBy.length > 0,
+        triggeredBy,
+        attribution,
+        ...(state.config.carbonFeedback ? { feedbackWarming: feedback.toFixed(2) } : {})
+      };
+    })
+  ];
+
+  const next = {
+    ...state,
+    year,
+    temperature,
+    feedbackWarming: feedback,
+    elements,
+    cascadeLog,
+    rngState: rng.state,
+    gameOver: Object.values(elements).every(e => e.tipped)
+  };
+  return state.config.recordHistory ? { ...next, history: [...state.history, historyRow(next)] } : next;
+}
+
+export function runToEnd(state) {
+  let current = state;
+  while (!isFinished(current)) {
+    current = step(current);
+  }
+  return current;
+}
+
+// Sign drawn for each unclear link, keyed "from>to"; empty unless they are sampled
+export function unclearSigns(state) {
+  return Object.fromEntries(state.links.filter(int => int.sampledFrom).map(int => [linkKey(int), int.type]));
+}
+
+// Compact, serialisable outcome of a run: what was sampled and what happened
+export function summarizeRun(state) {
+  const { scenario, model, tippingElements } = state.config;
+  return {
+    seed: state.seed,
+    model,
+    scenario,
+    elements: Object.fromEntries(Object.entries(state.elements).map(([id, el]) => [id, {
+      name: tippingElements[id].name,
+      icon: tippingElements[id].icon,
+      color: tippingElements[id].color,
+      threshold: el.threshold,
+      tipped: el.tipped
+    }])),
+    unclearSigns: unclearSigns(state),
+    cascadeLog: state.cascadeLog,
+    finalYear: state.year,
+    tippedCount: Object.values(state.elements).filter(el => el.tipped).length,
+    finished: isFinished(state)
+  };
+}
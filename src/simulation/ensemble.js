@@ -0,0 +1,121 @@
+import { TIPPING_ELEMENTS } from './data.js';
+import { createSimulation, runToEnd, unclearSigns } from './engine.js';
+import { normalizeSeed } from './random.js';
+
+// Monte Carlo ensembles: many independent realisations of one scenario, each
+// with its own seed derived from the ensemble seed, reduced to the statistics
+// reported by Wunderling et al. (probability of tipping by a given year, etc.)
+
+export const ENSEMBLE_HORIZONS = [2100, 2200, 2300, 2500];
+
+// Decorrelates consecutive run indices so run i's stream doesn't overlap run i+1's
+export function deriveSeed(seed, index) {
+  let h = (normalizeSeed(seed) ^ Math.imul(index + 1, 0x9E3779B9)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// One realisation, reduced to what the ensemble statistics need. A run stopped
+// early at `untilYear` matches the first part of a longer one with the same seed.
+export function runRealisation(config, index, untilYear = Math.max(config.endYear ?? 0, ...ENSEMBLE_HORIZONS)) {
+  const seed = deriveSeed(config.seed, index);
+  const final = runToEnd(createSimulation({
+    ...config,
+    seed,
+    endYear: untilYear,
+    recordHistory: false
+  }));
+
+  const tips = {};
+  final.cascadeLog.forEach(event => {
+    if (event.type !== 'tipped' || tips[event.id]) return;
+    tips[event.id] = { year: event.year, temp: Number(event.temp), isCascade: event.isCascade };
+  });
+
+  return {
+    index,
+    seed,
+    finalYear: final.year,
+    tippedCount: Object.values(final.elements).filter(e => e.tipped).length,
+    thresholds: Object.fromEntries(Object.entries(final.elements).map(([id, e]) => [id, e.threshold])),
+    unclearSigns: unclearSigns(final),
+    tips
+  };
+}
+
+export function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function distribution(values, binWidth) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const bins = new Map();
+  sorted.forEach(v => {
+    const start = Math.floor(v / binWidth + 1e-9) * binWidth;
+    bins.set(start, (bins.get(start) ?? 0) + 1);
+  });
+  return {
+    count: sorted.length,
+    p5: quantile(sorted, 0.05),
+    median: quantile(sorted, 0.5),
+    p95: quantile(sorted, 0.95),
+    histogram: [...bins].map(([start, count]) => ({ start, end: start + binWidth, count }))
+  };
+}
+
+export function summarizeEnsemble(results, elementIds, horizons = ENSEMBLE_HORIZONS) {
+  const runs = results.length;
+
+  const elements = Object.fromEntries(elementIds.map(id => {
+    const tipped = results.map(r => r.tips[id]).filter(Boolean);
+    const probabilityBy = Object.fromEntries(horizons.map(horizon => [
+      horizon,
+      runs ? tipped.filter(t => t.year <= horizon).length / runs : 0
+    ]));
+    return [id, {
+      probabilityBy,
+      years: distribution(tipped.map(t => t.year), 25),
+      temps: distribution(tipped.map(t => t.temp), 0.25)
+    }];
+  }));
+
+  const tippedCounts = Array.from({ length: elementIds.length + 1 }, () => 0);
+  results.forEach(r => { tippedCounts[r.tippedCount] += 1; });
+
+  // When unclear links are sampled: runs grouped by the sign each link drew,
+  // with the probability of every element tipping by the end within each group
+  const sampledLinks = [...new Set(results.flatMap(r => Object.keys(r.unclearSigns)))];
+  const bySign = sampledLinks.flatMap(link => ['destabilizing', 'stabilizing'].map(sign => {
+    const group = results.filter(r => r.unclearSigns[link] === sign);
+    return {
+      link,
+      sign,
+      runs: group.length,
+      probabilityTipped: Object.fromEntries(elementIds.map(id => [
+        id,
+        group.length ? group.filter(r => r.tips[id]).length / group.length : 0
+      ]))
+    };
+  }));
+
+  return {
+    runs,
+    elements,
+    tippedCounts: tippedCounts.map(count => (runs ? count / runs : 0)),
+    bySign
+  };
+}
+
+export function runEnsemble({ runs, ...config }) {
+  const results = [];
+  for (let i = 0; i < runs; i++) {
+    results.push(runRealisation(config, i));
+  }
+  const elementIds = Object.keys(config.tippingElements ?? TIPPING_ELEMENTS);
+  return { results, summary: summarizeEnsemble(results, elementIds) };
+}
@@ -0,0 +1,88 @@
+import { attributionShares } from './engine.js';
+
+// Run and ensemble data as CSV and JSON text, for analysis outside the app.
+// Column names are plain snake_case so the files load directly into R or pandas.
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Year-by-year temperature (of which feedback warming) plus stress (0–100),
+// tipped state (0/1) and transition progress (0–1) of every element
+export function trajectoryCsv(state) {
+  const ids = Object.keys(state.elements);
+  const header = ['year', 'temperature', 'feedback_warming', ...ids.flatMap(id => [`${id}_stress`, `${id}_tipped`, `${id}_progress`])];
+  const rows = state.history.map(row => [
+    row.year,
+    round(row.temperature),
+    round(row.feedbackWarming),
+    ...ids.flatMap(id => [round(row.stress[id], 2), row.tipped[id] ? 1 : 0, round(row.progress[id], 4)])
+  ]);
+  return toCsv(header, rows);
+}
+
+export function eventsCsv(state) {
+  const header = ['year', 'event', 'element_id', 'element', 'temperature', 'is_cascade', 'triggered_by', 'warming_share'];
+  const rows = state.cascadeLog.map(event => [
+    event.year,
+    event.type,
+    event.id,
+    event.element,
+    event.temp,
+    event.isCascade ? 1 : 0,
+    event.triggeredBy?.join(' '),
+    event.attribution && round(attributionShares(event.attribution).warming)
+  ]);
+  return toCsv(header, rows);
+}
+
+// Everything needed to inspect or reproduce a run: its configuration, seed,
+// sampled thresholds and link signs, final element states, events and trajectory
+export function runJson(state) {
+  const { recordHistory, ...config } = state.config;
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    seed: state.seed,
+    config,
+    links: state.links,
+    thresholds: Object.fromEntries(Object.entries(state.elements).map(([id, el]) => [id, el.threshold])),
+    finalYear: state.year,
+    finalTemperature: state.temperature,
+    elements: state.elements,
+    cascadeLog: state.cascadeLog,
+    history: state.history
+  }, null, 2);
+}
+
+// One row per realisation, as returned by runRealisation
+export function ensembleCsv(results, elementIds) {
+  const sampledLinks = [...new Set(results.flatMap(result => Object.keys(result.unclearSigns)))];
+  const header = [
+    'run',
+    'seed',
+    'final_year',
+    'tipped_count',
+    ...elementIds.flatMap(id => [`${id}_threshold`, `${id}_tip_year`, `${id}_tip_temp`, `${id}_tip_cascade`]),
+    ...sampledLinks.map(link => `sign_${link.replace('>', '_to_')}`)
+  ];
+  const rows = results.map(result => [
+    result.index,
+    result.seed,
+    result.finalYear,
+    result.tippedCount,
+    ...elementIds.flatMap(id => {
+      const tip = result.tips[id];
+      return [round(result.thresholds[id], 4), tip?.year, tip?.temp, tip ? (tip.isCascade ? 1 : 0) : ''];
+    }),
+    ...sampledLinks.map(link => result.unclearSigns[link])
+  ]);
+  return toCsv(header, rows);
+}
@@ -0,0 +1,40 @@
+// Long-term consequences of tipped elements. Each element may list impacts as
+// [low, central, high] (see ELEMENT_CATALOGUE); a tipped element commits its
+// full impact, which is realised with its transition progress (0–1, advanced by the
+// engine over the element's transitionYears).
+// Ranges are summed across elements, so "low" and "high" are deliberately wide.
+
+export const IMPACT_METRICS = [
+  { id: 'seaLevel', label: 'Sea-level rise', unit: 'm', sign: 1, digits: 1, color: '#60a5fa' },
+  { id: 'regionalCooling', label: 'North Atlantic regional anomaly', unit: '°C', sign: -1, digits: 1, color: '#2dd4bf' },
+  { id: 'carbon', label: 'Carbon released', unit: 'GtC', sign: 1, digits: 0, color: '#f97316' }
+];
+
+// Committed and realised impacts in one year. `progressById` maps tipped element
+// ids to their transition progress. Values carry the metric's sign.
+export function impactsAt(tippingElements, progressById) {
+  return Object.fromEntries(IMPACT_METRICS.map(metric => {
+    const committed = [0, 0, 0];
+    const realised = [0, 0, 0];
+    Object.entries(progressById).forEach(([id, progress]) => {
+      const range = tippingElements[id]?.impacts?.[metric.id];
+      if (!range) return;
+      range.forEach((value, i) => {
+        committed[i] += metric.sign * value;
+        realised[i] += metric.sign * value * progress;
+      });
+    });
+    return [metric.id, { committed, realised }];
+  }));
+}
+
+// Impacts for every year of a run's history
+export function impactSeries(state) {
+  const { tippingElements } = state.config;
+  return state.history.map(row => {
+    const progressById = Object.fromEntries(Object.keys(row.tipped)
+      .filter(id => row.tipped[id])
+      .map(id => [id, row.progress[id]]));
+    return { year: row.year, ...impactsAt(tippingElements, progressById) };
+  });
+}
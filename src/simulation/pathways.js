@@ -0,0 +1,197 @@
+// Temperature pathways. A scenario either uses the original linear ramp
+// ({ targetTemp, yearsToTarget }) or carries an explicit pathway:
+//
+//   pathway: { interpolation: 'linear' | 'spline', points: [{ year, temp }, ...] }
+//
+// Temperatures before the first point are clamped to it and held at the last
+// point afterwards, so overshoot, delayed-action and imported series all run
+// through the same machinery as the presets.
+
+export const START_YEAR = 2025;
+export const START_TEMP = 1.1;
+
+export const INTERPOLATIONS = ['linear', 'spline'];
+
+export function pathwayPoints(scenario) {
+  if (scenario.pathway) return scenario.pathway.points;
+  return [
+    { year: START_YEAR, temp: START_TEMP },
+    { year: START_YEAR + scenario.yearsToTarget, temp: scenario.targetTemp }
+  ];
+}
+
+// Fritsch–Carlson slopes keep the spline monotone between points, so a peak
+// stays a peak instead of ringing above or below the points the user entered
+function splineSlopes(points) {
+  const n = points.length;
+  const delta = points.slice(0, -1).map((p, i) => (points[i + 1].temp - p.temp) / (points[i + 1].year - p.year));
+  const slopes = points.map((_, i) => {
+    if (i === 0) return delta[0];
+    if (i === n - 1) return delta[n - 2];
+    return delta[i - 1] * delta[i] <= 0 ? 0 : (delta[i - 1] + delta[i]) / 2;
+  });
+  delta.forEach((d, i) => {
+    if (d === 0) {
+      slopes[i] = 0;
+      slopes[i + 1] = 0;
+      return;
+    }
+    const a = slopes[i] / d;
+    const b = slopes[i + 1] / d;
+    const h = Math.hypot(a, b);
+    if (h > 3) {
+      slopes[i] = (3 / h) * a * d;
+      slopes[i + 1] = (3 / h) * b * d;
+    }
+  });
+  return slopes;
+}
+
+export function temperatureAt(scenario, year) {
+  if (!scenario.pathway) {
+    const progress = Math.min(1, Math.max(0, (year - START_YEAR) / scenario.yearsToTarget));
+    return START_TEMP + (scenario.targetTemp - START_TEMP) * progress;
+  }
+
+  const { points, interpolation = 'linear' } = scenario.pathway;
+  if (year <= points[0].year) return points[0].temp;
+  const last = points[points.length - 1];
+  if (year >= last.year) return last.temp;
+
+  const i = points.findIndex(p => p.year > year) - 1;
+  const p0 = points[i];
+  const p1 = points[i + 1];
+  const h = p1.year - p0.year;
+  const t = (year - p0.year) / h;
+
+  if (interpolation !== 'spline' || points.length < 3) {
+    return p0.temp + (p1.temp - p0.temp) * t;
+  }
+
+  const slopes = scenario.pathway.slopes ?? splineSlopes(points);
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return (2 * t3 - 3 * t2 + 1) * p0.temp
+    + (t3 - 2 * t2 + t) * h * slopes[i]
+    + (-2 * t3 + 3 * t2) * p1.temp
+    + (t3 - t2) * h * slopes[i + 1];
+}
+
+export function validatePathway(pathway) {
+  const errors = [];
+  if (!pathway || !Array.isArray(pathway.points) || pathway.points.length === 0) {
+    return ['A pathway needs at least one point'];
+  }
+  if (pathway.interpolation && !INTERPOLATIONS.includes(pathway.interpolation)) {
+    errors.push(`Unknown interpolation "${pathway.interpolation}" (use ${INTERPOLATIONS.join(' or ')})`);
+  }
+  pathway.points.forEach((p, i) => {
+    if (!Number.isFinite(p.year)) errors.push(`Point ${i + 1}: year must be a number`);
+    if (!Number.isFinite(p.temp)) errors.push(`Point ${i + 1}: temperature must be a number`);
+    if (i > 0 && p.year <= pathway.points[i - 1].year) {
+      errors.push(`Point ${i + 1}: years must increase (${p.year} follows ${pathway.points[i - 1].year})`);
+    }
+  });
+  return errors;
+}
+
+// Builds a scenario from a pathway, precomputing spline slopes once per run
+export function createPathwayScenario({ points, interpolation = 'linear', ...rest }) {
+  const sorted = [...points].sort((a, b) => a.year - b.year);
+  const pathway = { interpolation, points: sorted };
+  if (interpolation === 'spline' && sorted.length >= 3) pathway.slopes = splineSlopes(sorted);
+  return {
+    id: 'custom',
+    name: 'Custom Pathway',
+    icon: '✏️',
+    color: '#38bdf8',
+    description: 'User-defined temperature pathway',
+    ...rest,
+    pathway
+  };
+}
+
+// Reads "year,temp" rows (comma, semicolon, tab or space separated); header
+// and comment lines are skipped, so SSP-style exports can be pasted directly
+export function parsePathwayCsv(text) {
+  const points = [];
+  const errors = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const [yearText, tempText] = trimmed.split(/[,;\t ]+/);
+    const year = Number(yearText);
+    const temp = Number(tempText);
+    if (!Number.isFinite(year) || !Number.isFinite(temp)) {
+      if (points.length === 0 && errors.length === 0 && !Number.isFinite(year)) return;
+      errors.push(`Line ${i + 1}: expected "year,temperature", got "${trimmed}"`);
+      return;
+    }
+    points.push({ year, temp });
+  });
+  if (points.length === 0 && errors.length === 0) errors.push('No data rows found');
+  return { points: points.sort((a, b) => a.year - b.year), errors };
+}
+
+export const PATHWAY_PRESETS = [
+  {
+    id: 'overshoot',
+    name: 'Overshoot & return',
+    description: 'Peaks at 2.0°C around 2060, then carbon removal brings it back to 1.5°C',
+    interpolation: 'spline',
+    points: [
+      { year: 2025, temp: 1.1 },
+      { year: 2060, temp: 2.0 },
+      { year: 2120, temp: 1.7 },
+      { year: 2200, temp: 1.5 }
+    ]
+  },
+  {
+    id: 'delayed',
+    name: 'Delayed action',
+    description: 'Current trend until 2050, then rapid cuts stabilise at 2.2°C',
+    interpolation: 'spline',
+    points: [
+      { year: 2025, temp: 1.1 },
+      { year: 2050, temp: 1.8 },
+      { year: 2080, temp: 2.2 },
+      { year: 2100, temp: 2.2 }
+    ]
+  },
+  {
+    id: 'ssp1-19',
+    name: 'SSP1-1.9 (approx.)',
+    description: 'IPCC AR6 median: slight overshoot of 1.5°C, back to ~1.4°C by 2100',
+    interpolation: 'spline',
+    points: [
+      { year: 2025, temp: 1.2 },
+      { year: 2040, temp: 1.5 },
+      { year: 2060, temp: 1.6 },
+      { year: 2100, temp: 1.4 }
+    ]
+  },
+  {
+    id: 'ssp2-45',
+    name: 'SSP2-4.5 (approx.)',
+    description: 'IPCC AR6 median: intermediate emissions, ~2.7°C by 2100',
+    interpolation: 'spline',
+    points: [
+      { year: 2025, temp: 1.2 },
+      { year: 2040, temp: 1.5 },
+      { year: 2060, temp: 2.0 },
+      { year: 2100, temp: 2.7 }
+    ]
+  },
+  {
+    id: 'ssp5-85',
+    name: 'SSP5-8.5 (approx.)',
+    description: 'IPCC AR6 median: very high emissions, ~4.4°C by 2100',
+    interpolation: 'spline',
+    points: [
+      { year: 2025, temp: 1.2 },
+      { year: 2040, temp: 1.6 },
+      { year: 2060, temp: 2.4 },
+      { year: 2100, temp: 4.4 }
+    ]
+  }
+];
@@ -0,0 +1,194 @@
+import { START_YEAR, START_TEMP, createPathwayScenario } from './pathways.js';
+import { createRng, normalizeSeed } from './random.js';
+
+// Policy game: instead of following a fixed scenario, the temperature pathway
+// is built a decade at a time from the player's choices. Warming rises at
+// BASELINE_WARMING_RATE unless slowed by emission cuts (permanent, after a
+// delay) or reversed by carbon removal (only while funded); solar
+// geoengineering masks part of the warming at once, but the masked warming
+// returns within SRM_RAMP_YEARS whenever it stops. Like the engine, the game
+// is a plain snapshot that applyDecision replaces.
+
+export const DECISION_YEARS = 10;
+export const GAME_END_YEAR = 2100;
+// Spending units ("$T") for the whole game
+export const POLICY_BUDGET = 30;
+// °C per year, about today's rate of warming
+export const BASELINE_WARMING_RATE = 0.025;
+export const SRM_RAMP_YEARS = 2;
+// Chance per decade that a deployment already running is cut off, by conflict or collapse
+export const SRM_TERMINATION_RISK = 0.1;
+
+// Option values are °C per year for cuts and removal and °C of masking for solar geoengineering
+export const POLICY_ACTIONS = {
+  cuts: {
+    name: 'Emission cuts',
+    icon: '🏭',
+    description: 'Permanently slows warming, starting a decade after you commit.',
+    delayYears: 10,
+    options: [
+      { label: 'None', value: 0, cost: 0 },
+      { label: 'Moderate', value: 0.005, cost: 4 },
+      { label: 'Deep', value: 0.01, cost: 9 }
+    ]
+  },
+  removal: {
+    name: 'Carbon removal',
+    icon: '🌱',
+    description: 'Draws warming down while funded; new capacity takes 5 years to build.',
+    delayYears: 5,
+    options: [
+      { label: 'None', value: 0, cost: 0 },
+      { label: 'Fund', value: 0.004, cost: 3 }
+    ]
+  },
+  srm: {
+    name: 'Solar geoengineering',
+    icon: '🛰️',
+    description: 'Masks warming above today\'s within two years, but stopping it (or losing it) brings that warming back just as fast.',
+    delayYears: 0,
+    options: [
+      { label: 'Off', value: 0, cost: 0 },
+      { label: '−0.5°C', value: 0.5, cost: 1.5 },
+      { label: '−1.0°C', value: 1, cost: 3 }
+    ]
+  }
+};
+
+const MAX_MASKING = Math.max(...POLICY_ACTIONS.srm.options.map(option => option.value));
+
+export const NO_ACTION = { cuts: 0, removal: 0, srm: 0 };
+
+export function createPolicyGame(seed) {
+  return {
+    year: START_YEAR,
+    underlying: START_TEMP,
+    masking: 0,
+    spent: 0,
+    // Committed cuts as { from, rate }; removal starts without delay if it was funded last decade
+    cuts: [],
+    removalFunded: false,
+    // Its own stream, so the game's luck doesn't change the run's sampled thresholds
+    rngState: (normalizeSeed(seed) ^ 0x5bd1e995) >>> 0,
+    decisions: [],
+    points: [{ year: START_YEAR, temp: START_TEMP }]
+  };
+}
+
+export const decisionCost = (decision) => Object.entries(POLICY_ACTIONS)
+  .reduce((sum, [id, action]) => sum + action.options[decision[id]].cost, 0);
+
+export const isGameOver = (game) => game.year >= GAME_END_YEAR;
+
+// Warming rate (°C per year) in `year` from cuts and removal
+export function warmingRate(game, year, removalFrom = Infinity, removal = 0) {
+  const cut = game.cuts.filter(c => c.from <= year).reduce((sum, c) => sum + c.rate, 0);
+  return Math.max(0, BASELINE_WARMING_RATE - cut) - (year >= removalFrom ? removal : 0);
+}
+
+// Plays one decade. `decision` picks an option index per action. Returns the
+// next game; its last `decisions` entry records what happened, including
+// whether solar geoengineering was cut off.
+export function applyDecision(game, decision) {
+  if (isGameOver(game)) throw new Error('The policy game is already over');
+  const cost = decisionCost(decision);
+  if (game.spent + cost > POLICY_BUDGET + 1e-9) throw new Error('Not enough budget left for these actions');
+
+  const rng = createRng(game.rngState);
+  const { year } = game;
+  const cut = POLICY_ACTIONS.cuts.options[decision.cuts];
+  const removal = POLICY_ACTIONS.removal.options[decision.removal];
+  const srm = POLICY_ACTIONS.srm.options[decision.srm];
+  const terminated = game.masking > 0 && srm.value > 0 && rng.next() < SRM_TERMINATION_RISK;
+
+  const next = {
+    ...game,
+    cuts: cut.value > 0 ? [...game.cuts, { from: year + POLICY_ACTIONS.cuts.delayYears, rate: cut.value }] : game.cuts,
+    removalFunded: removal.value > 0
+  };
+  const removalFrom = removal.value > 0 ? year + (game.removalFunded ? 0 : POLICY_ACTIONS.removal.delayYears) : Infinity;
+  const maskingTarget = terminated ? 0 : srm.value;
+  const end = Math.min(year + DECISION_YEARS, GAME_END_YEAR);
+
+  let { underlying, masking } = game;
+  const points = [...game.points];
+  for (let t = year; t < end; t++) {
+    underlying += warmingRate(next, t, removalFrom, removal.value);
+    // Masking can at most hold temperature at today's level
+    const target = Math.min(maskingTarget, Math.max(0, underlying - START_TEMP));
+    masking += Math.max(-MAX_MASKING / SRM_RAMP_YEARS, Math.min(MAX_MASKING / SRM_RAMP_YEARS, target - masking));
+    points.push({ year: t + 1, temp: Number((underlying - masking).toFixed(4)) });
+  }
+
+  return {
+    ...next,
+    year: end,
+    underlying,
+    masking,
+    // A terminated deployment is not paid for
+    spent: game.spent + cost - (terminated ? srm.cost : 0),
+    rngState: rng.state,
+    decisions: [...game.decisions, { year, decision, cost: cost - (terminated ? srm.cost : 0), terminated }],
+    points: compactPoints(points)
+  };
+}
+
+// Drops points that lie on the straight line between their neighbours, which
+// keeps shared links short without changing the (linear) pathway
+function compactPoints(points) {
+  return points.filter((p, i) => {
+    if (i === 0 || i === points.length - 1) return true;
+    const prev = points[i - 1];
+    const next = points[i + 1];
+    const expected = prev.temp + (next.temp - prev.temp) * (p.year - prev.year) / (next.year - prev.year);
+    return Math.abs(expected - p.temp) > 1e-6;
+  });
+}
+
+export function policyScenario(game) {
+  return createPathwayScenario({
+    id: 'policy',
+    name: 'Policy game',
+    icon: '🏛️',
+    color: '#a78bfa',
+    description: 'Warming shaped decade by decade by your policy choices',
+    interpolation: 'linear',
+    points: game.points
+  });
+}
+
+// Entries for the run's cascadeLog describing the decade just decided
+export function decisionEvents(game, temperature) {
+  const { year, decision, terminated } = game.decisions[game.decisions.length - 1];
+  const actions = Object.entries(POLICY_ACTIONS)
+    .filter(([id]) => decision[id] > 0)
+    .map(([id, action]) => `${action.name.toLowerCase()} ${action.options[decision[id]].label}`);
+  const event = { id: 'policy', type: 'policy', year, icon: '🏛️', temp: temperature.toFixed(1), isCascade: false };
+  return [
+    { ...event, element: `Policy to ${game.year}: ${actions.join(', ') || 'no action'}` },
+    ...(terminated ? [{ ...event, icon: '🛰️', element: 'Solar geoengineering cut off — the masked warming returns' }] : [])
+  ];
+}
+
+// End-of-game summary of the run played under the game's pathway
+export function policyScorecard(game, run) {
+  const ids = Object.keys(run.elements);
+  const tipped = ids.filter(id => run.elements[id].tipped);
+  const cascades = run.cascadeLog.filter(event => event.type === 'tipped' && event.isCascade).length;
+  const temps = run.history.length > 0 ? run.history.map(row => row.temperature) : game.points.map(p => p.temp);
+  const peakWarming = Math.max(...temps);
+  const outcome = tipped.length === 0
+    ? (peakWarming <= 1.5 ? 'stabilised' : 'safe')
+    : tipped.length === ids.length ? 'full' : cascades > 0 ? 'cascade' : 'contained';
+  return {
+    outcome,
+    won: outcome === 'stabilised' || outcome === 'safe',
+    tipped,
+    cascades,
+    peakWarming,
+    finalWarming: run.temperature,
+    spent: game.spent,
+    budget: POLICY_BUDGET,
+    terminations: game.decisions.filter(d => d.terminated).length
+  };
+}
@@ -0,0 +1,35 @@
+// Seedable PRNG (mulberry32). The generator's whole state is a single uint32, so
+// it can be stored in a simulation snapshot and resumed exactly.
+
+export function createRng(state) {
+  let a = state >>> 0;
+  return {
+    next() {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    get state() {
+      return a;
+    }
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Accepts numbers or arbitrary text ("class-7b") and returns a uint32 seed
+export function normalizeSeed(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,182 @@
+import { MAX_END_YEAR, MODELS, START_YEAR } from './engine.js';
+import { createPathwayScenario, validatePathway } from './pathways.js';
+import { normalizeSeed } from './random.js';
+
+// Shareable links. The setup of a run is written into the URL hash as
+// query-style parameters, e.g.
+//   #scenario=current&seed=42&model=cusp&elements=greenland,amoc&year=2120
+// Values equal to the loaded configuration's constants are left out, so links
+// stay short; a link made with a ?config= file keeps that parameter in the search part.
+
+const LINK_TYPE_CODES = { destabilizing: 'd', stabilizing: 's', unclear: 'u' };
+// URL parameter -> [constant, check its value must pass]
+const CONSTANT_PARAMS = {
+  coupling: ['interactionStrength', v => v >= 0],
+  end: ['endYear', v => Number.isInteger(v) && v > START_YEAR && v <= MAX_END_YEAR],
+  timescale: ['cuspTimescale', v => v > 0],
+  substeps: ['cuspSubsteps', v => Number.isInteger(v) && v >= 1]
+};
+
+const encodePoints = (points) => points.map(p => `${p.year},${p.temp}`).join(';');
+
+function decodePoints(text) {
+  return text.split(';').filter(Boolean).map(pair => {
+    const [year, temp] = pair.split(',').map(Number);
+    return { year, temp };
+  });
+}
+
+const encodeLinks = (interactions) => interactions
+  .map(int => `${int.from}>${int.to}:${LINK_TYPE_CODES[int.type]}:${int.strength}`)
+  .join(';');
+
+function decodeLinks(text, elementIds, knownLinks, errors) {
+  const types = Object.fromEntries(Object.entries(LINK_TYPE_CODES).map(([type, code]) => [code, type]));
+  return text.split(';').filter(Boolean).flatMap(item => {
+    const match = /^([^>]+)>([^:]+):([dsu]):([\d.]+)$/.exec(item);
+    if (!match || !elementIds.has(match[1]) || !elementIds.has(match[2])) {
+      errors.push(`Ignored the link "${item}"`);
+      return [];
+    }
+    const [, from, to, code, strength] = match;
+    const known = knownLinks.find(int => int.from === from && int.to === to);
+    return [{ label: known?.label ?? 'Custom link', from, to, type: types[code], strength: Number(strength) }];
+  });
+}
+
+// `share` is { scenario, seed, model, constants, selectedElements, interactions, year, info };
+// `config` is the loaded model configuration the link is made against.
+// Links are only written when they differ from the configuration's, and the
+// year only when given.
+export function encodeShareState(share, config) {
+  const params = new URLSearchParams();
+  const { scenario } = share;
+  if (scenario) {
+    if (scenario.pathway && !config.scenarios.some(s => s.id === scenario.id)) {
+      params.set('pathway', `${scenario.pathway.interpolation}:${encodePoints(scenario.pathway.points)}`);
+      params.set('name', scenario.name);
+    } else {
+      params.set('scenario', scenario.id);
+    }
+  }
+  params.set('seed', String(share.seed));
+  if (share.model !== config.constants.model) params.set('model', share.model);
+  Object.entries(CONSTANT_PARAMS).forEach(([param, [key]]) => {
+    if (share.constants[key] !== config.constants[key]) params.set(param, String(share.constants[key]));
+  });
+  if (share.selectedElements.join(',') !== config.selectedElements.join(',')) {
+    params.set('elements', share.selectedElements.join(','));
+  }
+  if (JSON.stringify(share.constants.unclearLinks) !== JSON.stringify(config.constants.unclearLinks)) {
+    const sampling = share.constants.unclearLinks;
+    params.set('unclear', sampling
+      ? `${sampling.probabilityDestabilizing},${sampling.strengthMin},${sampling.strengthMax}`
+      : 'fixed');
+  }
+  if (JSON.stringify(share.constants.carbonFeedback) !== JSON.stringify(config.constants.carbonFeedback)) {
+    params.set('feedback', share.constants.carbonFeedback ? String(share.constants.carbonFeedback.warmingPerGtC) : 'off');
+  }
+  const links = encodeLinks(share.interactions);
+  const defaultLinks = encodeLinks(config.interactions.filter(int => (
+    share.selectedElements.includes(int.from) && share.selectedElements.includes(int.to)
+  )));
+  if (links !== defaultLinks) params.set('links', links);
+  if (share.year !== undefined) params.set('year', String(share.year));
+  if (share.info) params.set('info', share.info);
+  return params.toString().replace(/%2C/g, ',').replace(/%3B/g, ';').replace(/%3A/g, ':').replace(/%3E/g, '>');
+}
+
+// Reads a hash written by encodeShareState. Like validateConfig it never
+// throws: anything it cannot use is skipped and reported in `errors`.
+// Returns { share, errors }, or { share: null, errors: [] } for an empty hash.
+export function decodeShareState(hash, config) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const errors = [];
+  if (![...params.keys()].length) return { share: null, errors };
+
+  const elementIds = new Set(Object.keys(config.elements));
+  let selectedElements = config.selectedElements;
+  if (params.has('elements')) {
+    const ids = params.get('elements').split(',').filter(Boolean);
+    ids.filter(id => !elementIds.has(id)).forEach(id => errors.push(`Unknown element "${id}"`));
+    const known = [...elementIds].filter(id => ids.includes(id));
+    if (known.length > 0) selectedElements = known;
+  }
+
+  let scenario = null;
+  if (params.has('pathway')) {
+    const [interpolation, points] = params.get('pathway').split(':');
+    const pathway = { interpolation, points: decodePoints(points ?? '') };
+    const pathwayErrors = validatePathway(pathway);
+    pathwayErrors.forEach(err => errors.push(`Pathway: ${err}`));
+    if (pathwayErrors.length === 0) {
+      scenario = createPathwayScenario({ ...pathway, ...(params.get('name') ? { name: params.get('name') } : {}) });
+    }
+  } else if (params.has('scenario')) {
+    scenario = config.scenarios.find(s => s.id === params.get('scenario')) ?? null;
+    if (!scenario) errors.push(`Unknown scenario "${params.get('scenario')}"`);
+  }
+
+  let model = config.constants.model;
+  if (params.has('model')) {
+    if (MODELS.includes(params.get('model'))) model = params.get('model');
+    else errors.push(`Unknown model "${params.get('model')}"`);
+  }
+
+  const constants = { ...config.constants };
+  Object.entries(CONSTANT_PARAMS).forEach(([param, [key, isValid]]) => {
+    if (!params.has(param)) return;
+    const value = Number(params.get(param));
+    if (Number.isFinite(value) && isValid(value)) constants[key] = value;
+    else errors.push(`Ignored ${param}=${params.get(param)}`);
+  });
+
+  if (params.get('unclear') === 'fixed') {
+    constants.unclearLinks = null;
+  } else if (params.has('unclear')) {
+    const [p, strengthMin, strengthMax] = params.get('unclear').split(',').map(Number);
+    if (p >= 0 && p <= 1 && strengthMin >= 0 && strengthMax >= strengthMin) {
+      constants.unclearLinks = { probabilityDestabilizing: p, strengthMin, strengthMax };
+    } else {
+      errors.push(`Ignored unclear=${params.get('unclear')}`);
+    }
+  }
+
+  if (params.get('feedback') === 'off') {
+    constants.carbonFeedback = null;
+  } else if (params.has('feedback')) {
+    const warmingPerGtC = Number(params.get('feedback'));
+    if (warmingPerGtC >= 0) constants.carbonFeedback = { warmingPerGtC };
+    else errors.push(`Ignored feedback=${params.get('feedback')}`);
+  }
+
+  const interactions = params.has('links')
+    ? decodeLinks(params.get('links'), elementIds, config.interactions, errors)
+    : config.interactions;
+
+  let year;
+  if (params.has('year')) {
+    year = Number(params.get('year'));
+    if (!Number.isInteger(year) || year > MAX_END_YEAR) {
+      errors.push(`Ignored year=${params.get('year')}`);
+      year = undefined;
+    }
+  }
+
+  const info = params.get('info');
+  if (info && !selectedElements.includes(info)) errors.push(`Unknown element "${info}" in info`);
+
+  return {
+    share: {
+      scenario,
+      seed: params.has('seed') ? normalizeSeed(params.get('seed')) : undefined,
+      model,
+      constants,
+      selectedElements,
+      interactions,
+      year,
+      info: info && selectedElements.includes(info) ? info : null
+    },
+    errors
+  };
+}
@@ -0,0 +1,114 @@
+import { START_YEAR, START_TEMP, createPathwayScenario, validatePathway } from './pathways.js';
+import { runRealisation } from './ensemble.js';
+
+// Parameter sweeps: a small ensemble in every cell of a grid over two model
+// parameters, reduced to the cascade-risk statistics of Wunderling et al.'s
+// risk maps. Every cell uses the same ensemble seed, so the realisations in
+// neighbouring cells share their sampled thresholds and differ only in the
+// swept parameters (common random numbers), which keeps the maps smooth.
+
+// The scenario with its pathway moved to `points`, rebuilt so that spline
+// slopes are recomputed for them rather than kept from the old points. A
+// stretched pathway that is no longer valid fails the sweep.
+function withPoints({ pathway, ...scenario }, points) {
+  const errors = validatePathway({ interpolation: pathway.interpolation, points });
+  if (errors.length > 0) throw new Error(`the stretched ${scenario.name} pathway is invalid: ${errors.join('; ')}`);
+  return createPathwayScenario({ ...scenario, interpolation: pathway.interpolation, points });
+}
+
+// Stretches the scenario's warming above today's so that it peaks at `peak`;
+// linear ramps simply get a new target
+function withPeakWarming(scenario, peak) {
+  if (!scenario.pathway) return { ...scenario, targetTemp: peak };
+  const { points } = scenario.pathway;
+  const top = Math.max(...points.map(p => p.temp));
+  const factor = top > START_TEMP ? (peak - START_TEMP) / (top - START_TEMP) : 1;
+  return withPoints(scenario, points.map(p => ({ year: p.year, temp: START_TEMP + (p.temp - START_TEMP) * factor })));
+}
+
+// Stretches the scenario in time so that it peaks `years` after the start. Years
+// are not rounded: a short stretch would put several points on the same year.
+function withYearsToPeak(scenario, years) {
+  if (!scenario.pathway) return { ...scenario, yearsToTarget: years };
+  const { points } = scenario.pathway;
+  const peakYear = points.reduce((best, p) => (p.temp > best.temp ? p : best)).year;
+  const factor = peakYear > START_YEAR ? years / (peakYear - START_YEAR) : 1;
+  return withPoints(scenario, points.map(p => ({ year: START_YEAR + (p.year - START_YEAR) * factor, temp: p.temp })));
+}
+
+// `limits` bound what the sweep form accepts; `range` is its starting suggestion
+export const SWEEP_PARAMETERS = {
+  peakWarming: {
+    label: 'Peak warming',
+    unit: '°C',
+    digits: 1,
+    limits: [START_TEMP, 8],
+    range: [START_TEMP, 5.0],
+    apply: (config, value) => ({ ...config, scenario: withPeakWarming(config.scenario, value) })
+  },
+  interactionStrength: {
+    label: 'Coupling strength',
+    unit: '',
+    digits: 2,
+    limits: [0, 2],
+    range: [0, 1],
+    apply: (config, value) => ({ ...config, interactionStrength: value })
+  },
+  yearsToPeak: {
+    label: 'Years to peak',
+    unit: 'yr',
+    digits: 0,
+    limits: [1, 400],
+    range: [25, 200],
+    apply: (config, value) => ({ ...config, scenario: withYearsToPeak(config.scenario, Math.round(value)) })
+  }
+};
+
+export const SWEEP_METRICS = [
+  { id: 'anyTipped', label: 'P(≥1 element tipped)' },
+  { id: 'expectedTipped', label: 'Expected number tipped' },
+  { id: 'element', label: 'P(element tipped)' }
+];
+
+// `steps` evenly spaced values from min to max inclusive
+export function sweepValues(min, max, steps) {
+  if (steps < 2) return [min];
+  return Array.from({ length: steps }, (_, i) => min + ((max - min) * i) / (steps - 1));
+}
+
+// Every cell of the grid, row by row. `x` and `y` are { parameter, min, max, steps }.
+export function sweepCells(x, y) {
+  const xs = sweepValues(x.min, x.max, x.steps);
+  const ys = sweepValues(y.min, y.max, y.steps);
+  return ys.flatMap((yValue, row) => xs.map((xValue, col) => ({ col, row, x: xValue, y: yValue })));
+}
+
+export function cellConfig(config, x, y, cell) {
+  const withX = SWEEP_PARAMETERS[x.parameter].apply(config, cell.x);
+  return SWEEP_PARAMETERS[y.parameter].apply(withX, cell.y);
+}
+
+// Results of runRealisation for one cell, reduced to its statistics
+export function summarizeCell(results, elementIds) {
+  const runs = results.length;
+  const share = (count) => (runs ? count / runs : 0);
+  return {
+    runs,
+    anyTipped: share(results.filter(r => r.tippedCount > 0).length),
+    expectedTipped: share(results.reduce((sum, r) => sum + r.tippedCount, 0)),
+    probabilityTipped: Object.fromEntries(elementIds.map(id => [id, share(results.filter(r => r.tips[id]).length)]))
+  };
+}
+
+export function metricValue(stats, metric, elementId) {
+  return metric === 'element' ? stats.probabilityTipped[elementId] : stats[metric];
+}
+
+export function runSweep({ x, y, runs, ...config }) {
+  const elementIds = Object.keys(config.tippingElements);
+  return sweepCells(x, y).map(cell => {
+    const cfg = cellConfig(config, x, y, cell);
+    const results = Array.from({ length: runs }, (_, i) => runRealisation(cfg, i));
+    return { ...cell, ...summarizeCell(results, elementIds) };
+  });
+}
@@ -0,0 +1,107 @@
+import { runRealisation } from './ensemble.js';
+import { sweepCells, cellConfig, summarizeCell } from './sweep.js';
+
+// Web Worker that runs batch jobs (ensembles, parameter sweeps) off the main
+// thread. Talk to it through workerClient.js. Protocol, all keyed by jobId:
+//
+//   in:  { type: 'start', jobId, kind, params }   kind is a key of JOBS
+//        { type: 'pause' | 'resume' | 'step' | 'cancel', jobId }
+//   out: { type: 'batch', jobId, items, done, total }   items streamed so far
+//        { type: 'done', jobId }
+//        { type: 'error', jobId, message }
+//
+// A job is a generator that does one realisation per iteration and yields an
+// item to stream back (or undefined). Jobs run BATCH_SIZE iterations at a time
+// and yield to the message queue in between, so pause and cancel take effect
+// within one batch.
+
+const BATCH_SIZE = 200;
+
+const JOBS = {
+  // Items: runRealisation results, in run order
+  * ensemble({ config, runs }) {
+    for (let i = 0; i < runs; i++) yield runRealisation(config, i);
+  },
+
+  // Items: one summarised cell each time a cell's runs are complete
+  * sweep({ config, x, y, runs }) {
+    const elementIds = Object.keys(config.tippingElements);
+    for (const cell of sweepCells(x, y)) {
+      const cfg = cellConfig(config, x, y, cell);
+      const results = [];
+      for (let i = 0; i < runs; i++) {
+        results.push(runRealisation(cfg, i));
+        yield results.length === runs ? { ...cell, ...summarizeCell(results, elementIds) } : undefined;
+      }
+    }
+  }
+};
+
+const JOB_SIZES = {
+  ensemble: ({ runs }) => runs,
+  sweep: ({ x, y, runs }) => x.steps * y.steps * runs
+};
+
+const jobs = new Map();
+let timer = null;
+
+function runBatch(jobId, job) {
+  const items = [];
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const { value, done } = job.iterator.next();
+    if (done) {
+      jobs.delete(jobId);
+      break;
+    }
+    job.done += 1;
+    if (value !== undefined) items.push(value);
+  }
+  self.postMessage({ type: 'batch', jobId, items, done: job.done, total: job.total });
+  if (!jobs.has(jobId)) self.postMessage({ type: 'done', jobId });
+}
+
+function safeBatch(jobId, job) {
+  try {
+    runBatch(jobId, job);
+  } catch (err) {
+    jobs.delete(jobId);
+    self.postMessage({ type: 'error', jobId, message: err.message });
+  }
+}
+
+// Running jobs take turns, one batch each per tick
+function tick() {
+  timer = null;
+  jobs.forEach((job, jobId) => {
+    if (job.running) safeBatch(jobId, job);
+  });
+  schedule();
+}
+
+function schedule() {
+  if (timer === null && [...jobs.values()].some(job => job.running)) timer = setTimeout(tick, 0);
+}
+
+self.onmessage = ({ data }) => {
+  const { type, jobId } = data;
+  const job = jobs.get(jobId);
+  if (type === 'start') {
+    if (!JOBS[data.kind]) {
+      self.postMessage({ type: 'error', jobId, message: `Unknown job kind "${data.kind}"` });
+      return;
+    }
+    jobs.set(jobId, { iterator: JOBS[data.kind](data.params), done: 0, total: JOB_SIZES[data.kind](data.params), running: true });
+  } else if (!job) {
+    return;
+  } else if (type === 'pause') {
+    job.running = false;
+  } else if (type === 'resume') {
+    job.running = true;
+  } else if (type === 'step') {
+    job.running = false;
+    safeBatch(jobId, job);
+  } else if (type === 'cancel') {
+    jobs.delete(jobId);
+  }
+  schedule();
+};
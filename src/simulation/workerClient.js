@@ -0,0 +1,42 @@
+// Main-thread side of worker.js. One worker is shared by every job and started
+// on first use; each job gets a handle to steer it.
+
+let worker = null;
+let nextJobId = 1;
+const listeners = new Map();
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    const listener = listeners.get(data.jobId);
+    if (!listener) return;
+    if (data.type === 'batch') {
+      listener.onBatch?.(data.items, data.done, data.total);
+    } else {
+      listeners.delete(data.jobId);
+      if (data.type === 'done') listener.onDone?.();
+      else listener.onError?.(new Error(data.message));
+    }
+  };
+  return worker;
+}
+
+// Starts a `kind` job (see JOBS in worker.js). `onBatch(items, done, total)`
+// receives results as they stream in. Returns { pause, resume, step, cancel };
+// nothing is reported for a job after it is cancelled.
+export function startJob(kind, params, { onBatch, onDone, onError } = {}) {
+  const jobId = nextJobId++;
+  listeners.set(jobId, { onBatch, onDone, onError });
+  getWorker().postMessage({ type: 'start', jobId, kind, params });
+  const send = (type) => getWorker().postMessage({ type, jobId });
+  return {
+    pause: () => send('pause'),
+    resume: () => send('resume'),
+    step: () => send('step'),
+    cancel: () => {
+      listeners.delete(jobId);
+      send('cancel');
+    }
+  };
+}